@@ -10,9 +10,13 @@ const { findCommitsWithAssociatedPullRequests } = require('./lib/commits')
 const {
   findCommitsFromLocalGit,
   createMockLastRelease,
+  getHeadSha,
 } = require('./lib/local-git')
 const { sortPullRequests } = require('./lib/sort-pull-requests')
+const { findNonSemanticCommits } = require('./lib/semantic-commits')
 const { log } = require('./lib/log')
+const { getVersionBackend, getPromotedVersion } = require('./lib/versions')
+const { findSourceVersion, getReleaseVersion } = require('./lib/version-source')
 const core = require('@actions/core')
 const { runnerIsActions } = require('./lib/utils')
 const {
@@ -20,7 +24,7 @@ const {
   resolveFiles,
   deleteAllReleaseAssets,
 } = require('./lib/assets')
-const semver = require('semver')
+const Table = require('cli-table3')
 
 module.exports = (app, { getRouter }) => {
   if (!runnerIsActions() && typeof getRouter === 'function') {
@@ -57,18 +61,24 @@ module.exports = (app, { getRouter }) => {
       'include-pre-releases': includePreReleases,
       'prerelease-identifier': preReleaseIdentifier,
       'tag-prefix': tagPrefix,
+      'version-source': versionSource,
       latest,
       prerelease,
+      promote,
+      snapshot,
     } = config
 
     const shouldIncludePreReleases = Boolean(
       includePreReleases || preReleaseIdentifier
     )
 
+    // Parses, orders and resolves versions of the `versioning-scheme`
+    const versionBackend = getVersionBackend(config)
+
     const { localGitRoot, baseRefOverride, baseVersionOverride } = input
 
     // Local git mode: use git log instead of GitHub API
-    let draftRelease, lastRelease, commits, mergedPullRequests
+    let draftRelease, lastRelease, lastPreRelease, commits, mergedPullRequests
 
     if (localGitRoot) {
       log({
@@ -84,6 +94,8 @@ module.exports = (app, { getRouter }) => {
       lastRelease = baseVersion
         ? createMockLastRelease(baseVersion, tagPrefix)
         : null
+      // The base version is the one to promote when it's a prerelease
+      lastPreRelease = lastRelease
 
       // Get commits from local git
       const localGitResult = findCommitsFromLocalGit({
@@ -93,6 +105,15 @@ module.exports = (app, { getRouter }) => {
       })
       commits = localGitResult.commits
       mergedPullRequests = localGitResult.pullRequests
+
+      // Local commits have no real pull requests, their titles are derived from the messages
+      if (config['change-source'] !== 'commit') {
+        log({
+          context,
+          message: `Ignoring change-source "${config['change-source']}" in local git mode, using commit messages`,
+        })
+        config['change-source'] = 'commit'
+      }
     } else {
       // Standard GitHub API mode
       const releasesResult = await findReleases({
@@ -101,9 +122,11 @@ module.exports = (app, { getRouter }) => {
         filterByCommitish,
         includePreReleases: shouldIncludePreReleases,
         tagPrefix,
+        versionBackend,
       })
       draftRelease = releasesResult.draftRelease
       lastRelease = releasesResult.lastRelease
+      lastPreRelease = releasesResult.lastPreRelease
 
       const commitsResult = await findCommitsWithAssociatedPullRequests({
         context,
@@ -115,6 +138,36 @@ module.exports = (app, { getRouter }) => {
       mergedPullRequests = commitsResult.pullRequests
     }
 
+    // The version of the project manifest is the base version when there is no
+    // release yet. It's applied after fetching the commits, which are still all
+    // the commits of the repository.
+    if (versionSource) {
+      const sourceVersion = await findSourceVersion({
+        context,
+        versionSource,
+        localGitRoot,
+        ref: targetCommitish,
+        versionBackend,
+      })
+      if (sourceVersion && !lastRelease) {
+        log({
+          context,
+          message: `No release found, using version ${sourceVersion} of ${versionSource} as the base version`,
+        })
+        lastRelease = createMockLastRelease(sourceVersion, tagPrefix)
+        lastPreRelease = lastPreRelease || lastRelease
+      } else if (
+        sourceVersion &&
+        sourceVersion !==
+          getReleaseVersion(lastRelease, { tagPrefix, versionBackend })
+      ) {
+        core.warning(
+          `version-source "${versionSource}" has version ${sourceVersion}, ` +
+            `which differs from the last release ${lastRelease.tag_name}.`
+        )
+      }
+    }
+
     const sortedMergedPullRequests = sortPullRequests(
       mergedPullRequests,
       config['sort-by'],
@@ -132,6 +185,26 @@ module.exports = (app, { getRouter }) => {
       })
     }
 
+    if (config['non-semantic-commits'] === 'fail') {
+      const nonSemanticCommits = findNonSemanticCommits(commits, config)
+      if (nonSemanticCommits.length > 0) {
+        log({
+          context,
+          message: `Found ${
+            nonSemanticCommits.length
+          } non-semantic commit(s):\n${nonSemanticCommitsAsTable(
+            nonSemanticCommits
+          )}`,
+        })
+        if (runnerIsActions()) {
+          core.setFailed(
+            `Found ${nonSemanticCommits.length} non-semantic commit(s) with non-semantic-commits set to "fail"`
+          )
+        }
+        return
+      }
+    }
+
     // Debug: Log merged pull requests
     log({
       context,
@@ -153,7 +226,24 @@ module.exports = (app, { getRouter }) => {
     // Separate explicit user input from draft release version:
     // - overrideVersion: explicit user input via action arg (always wins, skips calculations)
     // - draftVersion: extracted from draft release (acts as floor vs computed version)
-    const overrideVersion = version
+    let overrideVersion = version
+
+    // Promotion publishes the last prerelease as a stable release, e.g. `1.3.0-rc.4`
+    // as `1.3.0`, with the changes since the last stable release
+    if (promote && !overrideVersion) {
+      overrideVersion = getPromotedVersion(lastPreRelease, tagPrefix)
+      if (overrideVersion) {
+        log({
+          context,
+          message: `Promoting prerelease ${lastPreRelease.tag_name} to ${overrideVersion}`,
+        })
+      } else {
+        core.warning(
+          'promote is set but there is no prerelease after the last release. ' +
+            'Computing version from commits.'
+        )
+      }
+    }
     let draftVersion
 
     if (draftRelease) {
@@ -165,8 +255,8 @@ module.exports = (app, { getRouter }) => {
             ? draftVersionStr.slice(tagPrefix.length)
             : draftVersionStr
 
-        // Validate semver - if invalid, warn and ignore (trust humans know what they're doing)
-        const parsedVersion = semver.parse(versionWithoutPrefix)
+        // Validate the version - if invalid, warn and ignore (trust humans know what they're doing)
+        const parsedVersion = versionBackend.parse(versionWithoutPrefix)
         if (parsedVersion) {
           draftVersion = versionWithoutPrefix
           log({
@@ -183,10 +273,12 @@ module.exports = (app, { getRouter }) => {
                 tagPrefix && lastReleaseVersionStr.startsWith(tagPrefix)
                   ? lastReleaseVersionStr.slice(tagPrefix.length)
                   : lastReleaseVersionStr
-              const parsedLastVersion = semver.parse(lastVersionWithoutPrefix)
+              const parsedLastVersion = versionBackend.parse(
+                lastVersionWithoutPrefix
+              )
               if (
                 parsedLastVersion &&
-                semver.gt(parsedLastVersion, parsedVersion)
+                versionBackend.compare(parsedLastVersion, parsedVersion) > 0
               ) {
                 core.warning(
                   `Draft release version "${draftVersionStr}" is behind the last published release "${lastReleaseVersionStr}". ` +
@@ -197,13 +289,18 @@ module.exports = (app, { getRouter }) => {
           }
         } else {
           core.warning(
-            `Draft release version "${draftVersionStr}" is not valid semver. ` +
+            `Draft release version "${draftVersionStr}" is not a valid ${config['versioning-scheme']} version. ` +
               `Ignoring and computing version from commits.`
           )
         }
       }
     }
 
+    // The commit being built, whatever the commits of the release notes are
+    const targetSha = localGitRoot
+      ? getHeadSha(localGitRoot)
+      : process.env['GITHUB_SHA'] || context.payload.after
+
     const releaseInfo = generateReleaseInfo({
       context,
       commits,
@@ -218,8 +315,36 @@ module.exports = (app, { getRouter }) => {
       latest,
       shouldDraft,
       targetCommitish,
+      targetSha,
     })
 
+    // Snapshots are never released, they only resolve the version of a build
+    if (snapshot) {
+      log({
+        context,
+        message: 'Snapshot mode: skipping release creation/update',
+      })
+
+      if (runnerIsActions()) {
+        setDryRunOutput(releaseInfo)
+      }
+      return
+    }
+
+    // Every change has a `none` bump, so the version stays the one of the last release
+    if (!releaseInfo.shouldRelease) {
+      log({
+        context,
+        message:
+          'No release needed: no change bumps the version, skipping release creation/update',
+      })
+
+      if (runnerIsActions()) {
+        setDryRunOutput(releaseInfo)
+      }
+      return
+    }
+
     // In dry-run mode, skip creating/updating releases but still set outputs
     if (dryRun) {
       log({
@@ -311,6 +436,17 @@ module.exports = (app, { getRouter }) => {
   }
 }
 
+function nonSemanticCommitsAsTable(commits) {
+  const table = new Table({ head: ['Commit', 'Message'] })
+  for (const commit of commits) {
+    table.push([
+      (commit.oid || commit.id || 'unknown').slice(0, 7),
+      commit.message?.split('\n')[0] || '',
+    ])
+  }
+  return table.toString()
+}
+
 function getInput() {
   return {
     configName: core.getInput('config-name'),
@@ -330,6 +466,14 @@ function getInput() {
         ? core.getInput('prerelease').toLowerCase() === 'true'
         : undefined,
     preReleaseIdentifier: core.getInput('prerelease-identifier') || undefined,
+    promote:
+      core.getInput('promote') !== ''
+        ? core.getInput('promote').toLowerCase() === 'true'
+        : undefined,
+    snapshot:
+      core.getInput('snapshot') !== ''
+        ? core.getInput('snapshot').toLowerCase() === 'true'
+        : undefined,
     latest: core.getInput('latest')?.toLowerCase() || undefined,
     attachFiles: core.getInput('attach-files') || undefined,
     resetFiles: core.getInput('reset-files').toLowerCase() || 'auto',
@@ -365,6 +509,21 @@ function updateConfigFromInput(config, input) {
     config['prerelease-identifier'] = input.preReleaseIdentifier
   }
 
+  if (input.promote !== undefined) {
+    config.promote = input.promote
+  }
+
+  // A promotion is a stable release of the changes since the last stable release
+  if (config.promote) {
+    config.prerelease = false
+    config['prerelease-identifier'] = ''
+    config['include-pre-releases'] = false
+  }
+
+  if (input.snapshot !== undefined) {
+    config.snapshot = input.snapshot
+  }
+
   if (input.allowMajorBumps !== undefined) {
     if (!config['version-resolver']) {
       config['version-resolver'] = {}
@@ -379,7 +538,14 @@ function updateConfigFromInput(config, input) {
 
 function setActionOutput(
   releaseResponse,
-  { body, resolvedVersion, majorVersion, minorVersion, patchVersion }
+  {
+    body,
+    resolvedVersion,
+    majorVersion,
+    minorVersion,
+    patchVersion,
+    buildVersion,
+  }
 ) {
   const {
     data: {
@@ -400,6 +566,7 @@ function setActionOutput(
   if (majorVersion) core.setOutput('major-version', majorVersion)
   if (minorVersion) core.setOutput('minor-version', minorVersion)
   if (patchVersion) core.setOutput('patch-version', patchVersion)
+  if (buildVersion !== undefined) core.setOutput('build-version', buildVersion)
   core.setOutput('body', body)
 }
 
@@ -412,6 +579,7 @@ function setDryRunOutput({
   majorVersion,
   minorVersion,
   patchVersion,
+  buildVersion,
   tag,
   name,
 }) {
@@ -419,6 +587,7 @@ function setDryRunOutput({
   if (majorVersion) core.setOutput('major-version', majorVersion)
   if (minorVersion) core.setOutput('minor-version', minorVersion)
   if (patchVersion) core.setOutput('patch-version', patchVersion)
+  if (buildVersion !== undefined) core.setOutput('build-version', buildVersion)
   if (tag) core.setOutput('tag-name', tag)
   if (name) core.setOutput('name', name)
   core.setOutput('body', body)
@@ -0,0 +1,235 @@
+const pad = (number) => String(number).padStart(2, '0')
+
+// ISO 8601 week number of a date (weeks start on Monday, week 1 holds the first Thursday)
+const isoWeek = (date) => {
+  const thursday = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  )
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7))
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1)
+  return Math.ceil(((thursday - yearStart) / 86_400_000 + 1) / 7)
+}
+
+// Date tokens of `calver-format`, as defined by https://calver.org
+const CALVER_TOKENS = {
+  YYYY: (date) => String(date.getUTCFullYear()),
+  YY: (date) => String(date.getUTCFullYear() - 2000),
+  '0Y': (date) => pad(date.getUTCFullYear() - 2000),
+  MM: (date) => String(date.getUTCMonth() + 1),
+  '0M': (date) => pad(date.getUTCMonth() + 1),
+  WW: (date) => String(isoWeek(date)),
+  '0W': (date) => pad(isoWeek(date)),
+  DD: (date) => String(date.getUTCDate()),
+  '0D': (date) => pad(date.getUTCDate()),
+}
+
+// Counter of the releases within a period, the last segment of `calver-format`
+const MICRO_TOKEN = 'MICRO'
+
+/**
+ * Check a `calver-format`: dot-separated date tokens followed by `MICRO`,
+ * with at least three segments so versions map to `$MAJOR.$MINOR.$PATCH`.
+ * @param {string} format - e.g. `YYYY.0M.MICRO`
+ * @returns {string|null} - The problem with the format, or null when it's valid
+ */
+const getCalVerFormatError = (format) => {
+  const segments = format.split('.')
+  if (segments.length < 3) {
+    return 'must have at least three segments'
+  }
+  if (segments.at(-1) !== MICRO_TOKEN) {
+    return `must end with ${MICRO_TOKEN}`
+  }
+  const unknown = segments
+    .slice(0, -1)
+    .find((segment) => !(segment in CALVER_TOKENS))
+  if (unknown) {
+    return `has an unknown segment "${unknown}", use ${Object.keys(
+      CALVER_TOKENS
+    ).join(', ')} or ${MICRO_TOKEN}`
+  }
+  return null
+}
+
+/**
+ * Parse a version written in a `calver-format`.
+ * @param {string} version - e.g. `2026.10.3` or `v2026.10.3`
+ * @param {string} format - e.g. `YYYY.0M.MICRO`
+ * @returns {Object|null} - `{ period, micro }`, where `period` is the date segments
+ *   as written, or null when the version doesn't follow the format
+ */
+const parseCalVersion = (version, format) => {
+  if (!version) return null
+
+  const segments = version.replace(/^v/i, '').split('.')
+  const formatSegments = format.split('.')
+  if (
+    segments.length !== formatSegments.length ||
+    !segments.every((segment) => /^\d+$/.test(segment))
+  ) {
+    return null
+  }
+
+  return {
+    period: segments.slice(0, -1).join('.'),
+    micro: Number.parseInt(segments.at(-1), 10),
+  }
+}
+
+/**
+ * Build the templatable version of a calendar version, shaped like the semver one
+ * (see lib/versions.js). `$MAJOR` and `$MINOR` are the first two segments and
+ * `$PATCH` the rest, so `$MAJOR.$MINOR.$PATCH` is the full version.
+ * @param {string} version - e.g. `2026.10.15.2`
+ * @param {string} template - The `version-template`
+ * @returns {Object}
+ */
+const toTemplatableCalVersion = (version, template) => {
+  const [major, minor, ...patch] = version.split('.')
+  return {
+    version,
+    template,
+    $MAJOR: major,
+    $MINOR: minor,
+    $PATCH: patch.join('.'),
+    $MICRO: patch.at(-1),
+    $PRERELEASE: '',
+    $BUILD: '',
+    $COMPLETE: version,
+  }
+}
+
+/**
+ * Resolve the next calendar version: the period of the date with a `MICRO` counter
+ * that restarts at 0 in a new period and counts up from the last release otherwise.
+ * @param {Object} options
+ * @param {string} [options.lastVersion] - Version of the last release
+ * @param {string} options.format - The `calver-format`
+ * @param {Date} options.date - Release date
+ * @returns {string}
+ */
+const getNextCalVersion = ({ lastVersion, format, date }) => {
+  const period = format
+    .split('.')
+    .slice(0, -1)
+    .map((token) => CALVER_TOKENS[token](date))
+    .join('.')
+  const last = parseCalVersion(lastVersion, format)
+  const micro = last && last.period === period ? last.micro + 1 : 0
+  return `${period}.${micro}`
+}
+
+/**
+ * Compare two versions of the same `calver-format`, segment by segment.
+ * @param {string} a
+ * @param {string} b
+ * @param {string} format - The `calver-format`
+ * @returns {number} - Negative, zero or positive like Array#sort comparators
+ * @throws {Error} - When a version doesn't follow the format
+ */
+const compareCalVersions = (a, b, format) => {
+  const [aSegments, bSegments] = [a, b].map((version) => {
+    const parsed = parseCalVersion(version, format)
+    if (!parsed) {
+      throw new Error(`Invalid calendar version comparison: "${a}" and "${b}"`)
+    }
+    return [...parsed.period.split('.').map(Number), parsed.micro]
+  })
+  const index = aSegments.findIndex(
+    (segment, segmentIndex) => segment !== bSegments[segmentIndex]
+  )
+  return index === -1 ? 0 : aSegments[index] - bSegments[index]
+}
+
+/**
+ * Get the version info of a release with calendar versioning, in the shape of
+ * getVersionInfo so the same template variables are available. Every
+ * `$NEXT_*_VERSION` is the next calendar version.
+ * @param {Object} options
+ * @param {Object} [options.release] - The last release
+ * @param {string} options.template - The `version-template`
+ * @param {string} [options.inputVersion] - Explicit version, which always wins
+ * @param {string} [options.versionKeyIncrement] - `none` keeps the last version
+ * @param {string} [options.tagPrefix] - The `tag-prefix` of release tags
+ * @param {string} [options.draftVersion] - Version of the existing draft, used as a floor
+ * @param {string} options.format - The `calver-format`
+ * @param {Date} [options.date] - Release date, defaults to now
+ * @returns {Object}
+ */
+const getCalVersionInfo = ({
+  release,
+  template,
+  inputVersion,
+  versionKeyIncrement,
+  tagPrefix,
+  draftVersion,
+  format,
+  date = new Date(),
+}) => {
+  const stripTagPrefix = (input) =>
+    input && tagPrefix && input.startsWith(tagPrefix)
+      ? input.slice(tagPrefix.length)
+      : input
+  const toCalVersion = (input) =>
+    parseCalVersion(stripTagPrefix(input), format)
+      ? stripTagPrefix(input).replace(/^v/i, '')
+      : null
+
+  const lastVersion =
+    release && (toCalVersion(release.tag_name) || toCalVersion(release.name))
+  let nextVersion = getNextCalVersion({ lastVersion, format, date })
+
+  // Keep the version of the existing draft when it's ahead, e.g. for a second run
+  // on the same day
+  const draftCalVersion = toCalVersion(draftVersion)
+  if (
+    draftCalVersion &&
+    compareCalVersions(draftCalVersion, nextVersion, format) > 0
+  ) {
+    nextVersion = draftCalVersion
+  }
+
+  const next = toTemplatableCalVersion(nextVersion, template)
+  const nextVersionInfo = {}
+  for (const key of ['MAJOR', 'MINOR', 'PATCH']) {
+    nextVersionInfo[`$NEXT_${key}_VERSION`] = next
+    nextVersionInfo[`$NEXT_${key}_VERSION_MAJOR`] = {
+      ...next,
+      template: '$MAJOR',
+    }
+    nextVersionInfo[`$NEXT_${key}_VERSION_MINOR`] = {
+      ...next,
+      template: '$MINOR',
+    }
+    nextVersionInfo[`$NEXT_${key}_VERSION_PATCH`] = {
+      ...next,
+      template: '$PATCH',
+    }
+  }
+
+  const input = inputVersion
+    ? toTemplatableCalVersion(
+        toCalVersion(inputVersion) || stripTagPrefix(inputVersion),
+        template
+      )
+    : null
+
+  let resolved = input || next
+  // A `none` increment keeps the last version: no release is needed
+  if (!input && versionKeyIncrement === 'none' && lastVersion) {
+    resolved = toTemplatableCalVersion(lastVersion, template)
+  }
+
+  return {
+    ...nextVersionInfo,
+    $INPUT_VERSION: input,
+    $RESOLVED_VERSION: resolved,
+  }
+}
+
+exports.CALVER_TOKENS = CALVER_TOKENS
+exports.getCalVerFormatError = getCalVerFormatError
+exports.parseCalVersion = parseCalVersion
+exports.getNextCalVersion = getNextCalVersion
+exports.compareCalVersions = compareCalVersions
+exports.getCalVersionInfo = getCalVersionInfo
@@ -0,0 +1,38 @@
+// Regex to find `Co-authored-by` trailers, e.g. "Co-authored-by: Ada Lovelace <ada@example.com>"
+// Groups: 1=name, 2=email
+const CO_AUTHORED_BY_REGEX =
+  /^co-authored-by:[\t ]*(.+?)[\t ]*<([^>]+)>[\t ]*$/gim
+
+// Regex to find the login in GitHub noreply emails, e.g. "123+octocat@users.noreply.github.com"
+// Groups: 1=login
+const NOREPLY_EMAIL_REGEX = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i
+
+/**
+ * Get the GitHub login of a noreply email.
+ * @param {string} email - Commit email
+ * @returns {string|null} - The login, e.g. `octocat`, or null for other emails
+ */
+const loginFromNoreplyEmail = (email) => {
+  const match = email.match(NOREPLY_EMAIL_REGEX)
+  return match ? match[1] : null
+}
+
+/**
+ * Parse the `Co-authored-by` trailers of a commit message.
+ * @param {string} message - The full commit message
+ * @returns {Object[]} - Co-authors as `{ name, email, login }`, where `login` is
+ *   resolved from noreply emails and null otherwise
+ */
+const parseCoAuthors = (message) => {
+  if (!message) return []
+
+  return [...message.matchAll(CO_AUTHORED_BY_REGEX)].map(([, name, email]) => ({
+    name,
+    email,
+    login: loginFromNoreplyEmail(email),
+  }))
+}
+
+exports.CO_AUTHORED_BY_REGEX = CO_AUTHORED_BY_REGEX
+exports.loginFromNoreplyEmail = loginFromNoreplyEmail
+exports.parseCoAuthors = parseCoAuthors
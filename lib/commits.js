@@ -40,6 +40,7 @@ const findCommitsWithAssociatedPullRequestsQuery = /* GraphQL */ `
     $after: String
     $withBaseRefName: Boolean!
     $withHeadRefName: Boolean!
+    $withClosingIssues: Boolean!
     $pullRequestLimit: Int!
   ) {
     repository(name: $name, owner: $owner) {
@@ -58,6 +59,7 @@ const findCommitsWithAssociatedPullRequestsQuery = /* GraphQL */ `
               message
               author {
                 name
+                email
                 user {
                   login
                 }
@@ -86,6 +88,16 @@ const findCommitsWithAssociatedPullRequestsQuery = /* GraphQL */ `
                   merged
                   baseRefName @include(if: $withBaseRefName)
                   headRefName @include(if: $withHeadRefName)
+                  closingIssuesReferences(first: 25)
+                    @include(if: $withClosingIssues) {
+                    nodes {
+                      number
+                      url
+                      repository {
+                        nameWithOwner
+                      }
+                    }
+                  }
                 }
               }
             }
@@ -107,10 +119,15 @@ const findCommitsWithAssociatedPullRequests = async ({
     name: repo,
     owner,
     targetCommitish,
-    withPullRequestBody: config['change-template'].includes('$BODY'),
+    // Pull request bodies can carry changelog trailers (see applyPullRequestTrailers)
+    withPullRequestBody:
+      config['change-template'].includes('$BODY') ||
+      (config['pull-request-trailers'] &&
+        Object.values(config['changelog-trailers'] || {}).some(Boolean)),
     withPullRequestURL: config['change-template'].includes('$URL'),
     withBaseRefName: config['change-template'].includes('$BASE_REF_NAME'),
     withHeadRefName: config['change-template'].includes('$HEAD_REF_NAME'),
+    withClosingIssues: config['change-template'].includes('$ISSUES'),
     pullRequestLimit: config['pull-request-limit'],
   }
   const includePaths = config['include-paths']
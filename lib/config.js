@@ -53,6 +53,26 @@ function getInlineConfigOverrides() {
     }
   }
 
+  const commitTypesYaml = core.getInput('commit-types')
+  if (commitTypesYaml) {
+    try {
+      const commitTypes = yaml.parse(commitTypesYaml)
+      if (
+        commitTypes &&
+        typeof commitTypes === 'object' &&
+        !Array.isArray(commitTypes)
+      ) {
+        overrides['commit-types'] = commitTypes
+      }
+    } catch (error) {
+      core.warning(
+        `Failed to parse 'commit-types' input as YAML. This input will be ignored. Error: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      )
+    }
+  }
+
   return overrides
 }
 
@@ -63,7 +83,8 @@ function hasInlineConfig() {
     core.getInput('change-template') ||
     core.getInput('template') ||
     core.getInput('category-template') ||
-    core.getInput('categories')
+    core.getInput('categories') ||
+    core.getInput('commit-types')
   )
 }
 
@@ -45,27 +45,84 @@ const DEFAULT_CATEGORIES = [
   },
 ]
 
+/**
+ * Build the default categories for a set of custom commit types.
+ * Types from the `commit-types` config that no default category covers are appended
+ * as categories of their own, titled from the commit type.
+ * @param {Object} commitTypes - The `commit-types` config (type to `{ title, bump }`)
+ * @returns {Object[]} - Category definitions
+ */
+const getDefaultCategories = (commitTypes = {}) => {
+  const coveredTypes = new Set(
+    DEFAULT_CATEGORIES.flatMap((category) => category['commit-types'])
+  )
+  const customCategories = Object.entries(commitTypes || {})
+    .filter(([type]) => !coveredTypes.has(type.toLowerCase()))
+    .map(([type, definition]) => ({
+      title: definition?.title || type.toLowerCase(),
+      'commit-types': [type.toLowerCase()],
+      'commit-scopes': [],
+      'collapse-after': 0,
+      'display-order': null,
+    }))
+  return [...DEFAULT_CATEGORIES, ...customCategories]
+}
+
 const DEFAULT_TEMPLATE = `$CHANGES
 
 ---
 
 **Full Changelog**: https://github.com/$OWNER/$REPOSITORY/compare/$PREVIOUS_TAG...v$RESOLVED_VERSION`
 
+// `version-template` of four-part versions, when the config doesn't set one
+const FOUR_PART_VERSION_TEMPLATE =
+  '$MAJOR.$MINOR.$PATCH.$BUILD_NUMBER$PRERELEASE$BUILD'
+
 const DEFAULT_CONFIG = Object.freeze({
   'name-template': 'v$RESOLVED_VERSION',
   'tag-template': 'v$RESOLVED_VERSION',
   'tag-prefix': '',
   'change-template': '* $TITLE ($URL) $SHA',
   'change-title-escapes': '',
+  'breaking-description-template': '> $BREAKING_DESCRIPTION',
   'no-changes-template': '* No changes',
-  'version-template': '$MAJOR.$MINOR.$PATCH$PRERELEASE',
+  'version-template': '$MAJOR.$MINOR.$PATCH$PRERELEASE$BUILD',
+  'versioning-scheme': 'semver',
+  'calver-format': 'YYYY.0M.MICRO',
+  'version-source': '',
+  'four-part-bumps': {
+    major: 'major',
+    minor: 'minor',
+    patch: 'patch',
+  },
   'version-resolver': {
     'pre-one-zero-minor-for-breaking': true,
     'no-auto-major': true,
     default: 'patch',
+    rules: [],
   },
   template: DEFAULT_TEMPLATE,
   categories: DEFAULT_CATEGORIES,
+  'commit-convention': 'conventional',
+  'commit-pattern': '',
+  'commit-types': {},
+  'type-aliases': {},
+  'reverted-changes': 'hide',
+  'parse-list-items': false,
+  'non-semantic-commits': 'ignore',
+  'change-source': 'commit',
+  'duplicate-changes': 'first',
+  'issue-trackers': [],
+  'exclude-types': [],
+  'exclude-scopes': [],
+  'exclude-descriptions': [],
+  'bump-excluded-changes': true,
+  'changelog-trailers': {
+    skip: 'Changelog',
+    description: 'Release-Note',
+    type: 'Release-Note-Type',
+  },
+  'pull-request-trailers': false,
   'include-paths': [],
   'exclude-contributors': [],
   'no-contributors-template': 'No contributors',
@@ -74,14 +131,21 @@ const DEFAULT_CONFIG = Object.freeze({
   'sort-direction': SORT_DIRECTIONS.descending,
   prerelease: false,
   'prerelease-identifier': '',
+  promote: false,
+  snapshot: false,
+  'snapshot-identifier': 'snapshot',
   'include-pre-releases': false,
   latest: 'true',
   'filter-by-commitish': false,
   commitish: '',
   'pull-request-limit': 5,
   'category-template': '## $TITLE',
+  'scope-template': '### $SCOPE',
+  'title-processors': ['sentence-case'],
   header: '',
   footer: '',
 })
 
 exports.DEFAULT_CONFIG = DEFAULT_CONFIG
+exports.FOUR_PART_VERSION_TEMPLATE = FOUR_PART_VERSION_TEMPLATE
+exports.getDefaultCategories = getDefaultCategories
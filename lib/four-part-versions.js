@@ -0,0 +1,159 @@
+// Parts of four-part versions, e.g. `1.4.2.37` for .NET assemblies and Windows installers
+const FOUR_PART_VERSION_PARTS = ['major', 'minor', 'patch', 'build']
+
+// Version of the first release, like `0.1.0` for semver
+const FIRST_FOUR_PART_VERSION = [0, 1, 0, 0]
+
+/**
+ * Parse a four-part version. Missing trailing parts are zero, so `1.4` and `1.4.2`
+ * releases sort along `1.4.2.37` ones.
+ * @param {string} version - e.g. `1.4.2.37` or `v1.4.2.37`
+ * @returns {number[]|null} - The four parts, or null when it isn't a numeric version
+ */
+const parseFourPartVersion = (version) => {
+  const match = version?.match(/^v?(\d+(?:\.\d+){0,3})$/i)
+  if (!match) return null
+
+  const parts = match[1].split('.').map(Number)
+  return [...parts, 0, 0, 0].slice(0, FOUR_PART_VERSION_PARTS.length)
+}
+
+const compareParts = (aParts, bParts) => {
+  const index = aParts.findIndex(
+    (part, partIndex) => part !== bParts[partIndex]
+  )
+  return index === -1 ? 0 : aParts[index] - bParts[index]
+}
+
+/**
+ * Compare two four-part versions, part by part.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative, zero or positive like Array#sort comparators
+ * @throws {Error} - When a version isn't a four-part version
+ */
+const compareFourPartVersions = (a, b) => {
+  const aParts = parseFourPartVersion(a)
+  const bParts = parseFourPartVersion(b)
+  if (!aParts || !bParts) {
+    throw new Error(`Invalid four-part version comparison: "${a}" and "${b}"`)
+  }
+  return compareParts(aParts, bParts)
+}
+
+/**
+ * Increment a part of a version and reset the parts after it.
+ * @param {number[]} parts - The four parts
+ * @param {string} part - `major`, `minor`, `patch` or `build`
+ * @returns {number[]}
+ */
+const incrementFourPartVersion = (parts, part) => {
+  const partIndex = FOUR_PART_VERSION_PARTS.indexOf(part)
+  return parts.map((value, index) => {
+    if (index < partIndex) return value
+    return index === partIndex ? value + 1 : 0
+  })
+}
+
+/**
+ * Build the templatable version of a four-part version, shaped like the semver one
+ * (see lib/versions.js) with an extra `$BUILD_NUMBER`.
+ * @param {number[]} parts - The four parts
+ * @param {string} template - The `version-template`
+ * @returns {Object}
+ */
+const toTemplatableFourPartVersion = (parts, template) => {
+  const [major, minor, patch, build] = parts
+  const version = parts.join('.')
+  return {
+    version,
+    template,
+    $MAJOR: major,
+    $MINOR: minor,
+    $PATCH: patch,
+    $BUILD_NUMBER: build,
+    $PRERELEASE: '',
+    $BUILD: '',
+    $COMPLETE: version,
+  }
+}
+
+/**
+ * Get the version info of a release with four-part versions, in the shape of
+ * getVersionInfo so the same template variables are available, plus
+ * `$NEXT_BUILD_VERSION`.
+ * @param {Object} options
+ * @param {Object} [options.release] - The last release
+ * @param {string} options.template - The `version-template`
+ * @param {string} [options.inputVersion] - Explicit version, which always wins
+ * @param {string} [options.versionKeyIncrement] - The resolved bump, `none` keeps the last version
+ * @param {string} [options.tagPrefix] - The `tag-prefix` of release tags
+ * @param {string} [options.draftVersion] - Version of the existing draft, used as a floor
+ * @param {Object} [options.bumps] - The `four-part-bumps`, the part each bump increments
+ * @returns {Object}
+ */
+const getFourPartVersionInfo = ({
+  release,
+  template,
+  inputVersion,
+  versionKeyIncrement,
+  tagPrefix,
+  draftVersion,
+  bumps = {},
+}) => {
+  const toParts = (input) =>
+    parseFourPartVersion(
+      input && tagPrefix && input.startsWith(tagPrefix)
+        ? input.slice(tagPrefix.length)
+        : input
+    )
+
+  const last = release && (toParts(release.tag_name) || toParts(release.name))
+  const getNextVersion = (part) => {
+    if (last) return incrementFourPartVersion(last, part)
+    return part === 'major' ? [1, 0, 0, 0] : FIRST_FOUR_PART_VERSION
+  }
+
+  const versionInfo = {}
+  for (const part of FOUR_PART_VERSION_PARTS) {
+    const next = toTemplatableFourPartVersion(getNextVersion(part), template)
+    const key = `$NEXT_${part.toUpperCase()}_VERSION`
+    versionInfo[key] = next
+    for (const templatePart of FOUR_PART_VERSION_PARTS) {
+      const variable = templatePart.toUpperCase()
+      versionInfo[`${key}_${variable}`] = {
+        ...next,
+        template: variable === 'BUILD' ? '$BUILD_NUMBER' : `$${variable}`,
+      }
+    }
+  }
+
+  const inputParts = toParts(inputVersion)
+  if (inputParts) {
+    const input = toTemplatableFourPartVersion(inputParts, template)
+    return { ...versionInfo, $INPUT_VERSION: input, $RESOLVED_VERSION: input }
+  }
+
+  // Four-part versions have no prereleases: `prepatch` bumps like `patch`
+  const bump = versionKeyIncrement?.replace(/^pre/, '') || 'patch'
+  const part =
+    bumps[bump] || (FOUR_PART_VERSION_PARTS.includes(bump) ? bump : 'patch')
+  let resolved = bump === 'none' && last ? last : getNextVersion(part)
+
+  // Keep the version of the existing draft when it's ahead
+  const draftParts = toParts(draftVersion)
+  if (draftParts && compareParts(draftParts, resolved) > 0) {
+    resolved = draftParts
+  }
+
+  return {
+    ...versionInfo,
+    $INPUT_VERSION: null,
+    $RESOLVED_VERSION: toTemplatableFourPartVersion(resolved, template),
+  }
+}
+
+exports.FOUR_PART_VERSION_PARTS = FOUR_PART_VERSION_PARTS
+exports.parseFourPartVersion = parseFourPartVersion
+exports.compareFourPartVersions = compareFourPartVersions
+exports.getFourPartVersionInfo = getFourPartVersionInfo
@@ -0,0 +1,73 @@
+// Regex to parse gitmoji commit messages, e.g. "✨ add search" or ":bug: (api): fix crash"
+// Groups: 1=emoji or :shortcode:, 2=scope (optional), 3=description, 4=PR number (optional)
+const GITMOJI_COMMIT_REGEX =
+  /^(:[\w+-]+:|[^\s\w():]+)(?:\s*\(([^)]+)\))?:?\s+(.+?)(?:\s*\(#(\d+)\))?$/
+
+// Variation selector-16, optional in most emoji ("♻️" and "♻" are the same gitmoji)
+const VARIATION_SELECTOR = '\uFE0F'
+
+// Gitmojis mapped to the commit type they stand for, keyed by shortcode
+// Refer to https://gitmoji.dev for the meaning of each gitmoji
+const GITMOJI_TYPES = {
+  sparkles: { emoji: '✨', type: 'feat' },
+  boom: { emoji: '💥', type: 'feat', breaking: true },
+  bug: { emoji: '🐛', type: 'fix' },
+  ambulance: { emoji: '🚑️', type: 'fix' },
+  adhesive_bandage: { emoji: '🩹', type: 'fix' },
+  lock: { emoji: '🔒️', type: 'fix' },
+  memo: { emoji: '📝', type: 'docs' },
+  art: { emoji: '🎨', type: 'style' },
+  lipstick: { emoji: '💄', type: 'style' },
+  recycle: { emoji: '♻️', type: 'refactor' },
+  fire: { emoji: '🔥', type: 'refactor' },
+  zap: { emoji: '⚡️', type: 'perf' },
+  white_check_mark: { emoji: '✅', type: 'test' },
+  test_tube: { emoji: '🧪', type: 'test' },
+  package: { emoji: '📦️', type: 'build' },
+  construction_worker: { emoji: '👷', type: 'ci' },
+  green_heart: { emoji: '💚', type: 'ci' },
+  arrow_up: { emoji: '⬆️', type: 'chore' },
+  arrow_down: { emoji: '⬇️', type: 'chore' },
+  pushpin: { emoji: '📌', type: 'chore' },
+  wrench: { emoji: '🔧', type: 'chore' },
+  bookmark: { emoji: '🔖', type: 'chore' },
+  rewind: { emoji: '⏪️', type: 'revert' },
+  bricks: { emoji: '🧱', type: 'infra' },
+}
+
+const normalizeEmoji = (emoji) => emoji.replaceAll(VARIATION_SELECTOR, '')
+
+// Lookup of both spellings of each gitmoji ("✨" and ":sparkles:")
+const GITMOJI_LOOKUP = new Map(
+  Object.entries(GITMOJI_TYPES).flatMap(([shortcode, gitmoji]) => [
+    [`:${shortcode}:`, gitmoji],
+    [normalizeEmoji(gitmoji.emoji), gitmoji],
+  ])
+)
+
+/**
+ * Match a line against the gitmoji convention: `<gitmoji> [(scope)][:] <description>`.
+ * @param {string} line - Trimmed line
+ * @returns {Object|null} - `{ type, scope, breaking, description, prNumber }` with the
+ *   commit type of the gitmoji, or null when the line doesn't start with a known gitmoji
+ */
+const matchGitmojiHeader = (line) => {
+  const match = line.match(GITMOJI_COMMIT_REGEX)
+  if (!match) return null
+
+  const [, gitmoji, scope, description, prNumber] = match
+  const definition = GITMOJI_LOOKUP.get(normalizeEmoji(gitmoji))
+  if (!definition) return null
+
+  return {
+    type: definition.type,
+    scope,
+    breaking: Boolean(definition.breaking),
+    description,
+    prNumber,
+  }
+}
+
+exports.GITMOJI_TYPES = GITMOJI_TYPES
+exports.GITMOJI_COMMIT_REGEX = GITMOJI_COMMIT_REGEX
+exports.matchGitmojiHeader = matchGitmojiHeader
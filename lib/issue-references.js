@@ -0,0 +1,132 @@
+const regexEscape = require('escape-string-regexp')
+const { template } = require('./template')
+
+// Regex to find GitHub issue references announced with a keyword, e.g. "Fixes #123",
+// "closes org/repo#45" or "Refs: #7"
+// Groups: 1=repository (optional), 2=issue number
+const GITHUB_ISSUE_REFERENCE_REGEX =
+  /\b(?:close[ds]?|fix(?:e[ds])?|resolve[ds]?|refs?):?\s+(?:([\w.-]+\/[\w.-]+))?#(\d+)\b/gi
+
+/**
+ * Build the regex matching the issue keys of the `issue-trackers` config, e.g.
+ * `PLAT-881` for the `PLAT` project key.
+ * @param {Object[]} issueTrackers - `issue-trackers` config entries
+ * @returns {RegExp|null} - Global regex with a `tracker<index>` group per tracker
+ */
+const buildIssueKeyRegex = (issueTrackers) => {
+  if (!issueTrackers || issueTrackers.length === 0) return null
+
+  const alternatives = issueTrackers.map(
+    ({ keys }, index) =>
+      `(?<tracker${index}>(?:${keys
+        .map((key) => regexEscape(key))
+        .join('|')})-\\d+)`
+  )
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'g')
+}
+
+/**
+ * Extract the issue references of a text: keyword GitHub references and the issue
+ * keys of the configured trackers, linked with their `link-template`.
+ * @param {string} text - Commit message or part of it
+ * @param {Object[]} [issueTrackers] - `issue-trackers` config entries
+ * @returns {Object[]} - References as `{ key, url }`, in order of appearance
+ */
+const extractIssueReferences = (text, issueTrackers = []) => {
+  if (!text) return []
+
+  const matches = [...text.matchAll(GITHUB_ISSUE_REFERENCE_REGEX)].map(
+    (match) => {
+      const [, repository, number] = match
+      return {
+        index: match.index,
+        key: repository ? `${repository}#${number}` : `#${number}`,
+        url: null,
+      }
+    }
+  )
+
+  const issueKeyRegex = buildIssueKeyRegex(issueTrackers)
+  for (const match of issueKeyRegex ? text.matchAll(issueKeyRegex) : []) {
+    const tracker = issueTrackers.find(
+      (_, trackerIndex) => match.groups[`tracker${trackerIndex}`]
+    )
+    const [key] = match
+    matches.push({
+      index: match.index,
+      key,
+      url: template(tracker['link-template'], { $KEY: key }),
+    })
+  }
+
+  const references = matches
+    .sort((a, b) => a.index - b.index)
+    .map(({ key, url }) => ({ key, url }))
+  return uniqueIssueReferences(references)
+}
+
+/**
+ * Get the issues a pull request closes, from its `closingIssuesReferences`.
+ * Issues of the pull request's own repository are keyed `#123`.
+ * @param {Object} [pr] - Pull request from the GraphQL query
+ * @returns {Object[]} - References as `{ key, url }`
+ */
+const getClosingIssueReferences = (pr) => {
+  const nodes = pr?.closingIssuesReferences?.nodes || []
+  return nodes.map(({ number, url, repository }) => ({
+    key: toShortIssueKey(
+      `${repository.nameWithOwner}#${number}`,
+      pr.baseRepository?.nameWithOwner
+    ),
+    url: url || null,
+  }))
+}
+
+/**
+ * Shorten `owner/repo#123` to `#123` when it belongs to the given repository.
+ * @param {string} key - Issue key
+ * @param {string} [nameWithOwner] - The repository, e.g. `octocat/repo`
+ * @returns {string}
+ */
+const toShortIssueKey = (key, nameWithOwner) => {
+  if (!nameWithOwner) return key
+  const prefix = `${nameWithOwner.toLowerCase()}#`
+  return key.toLowerCase().startsWith(prefix)
+    ? `#${key.slice(prefix.length)}`
+    : key
+}
+
+/**
+ * Remove duplicate references, keeping the first one of each key.
+ * @param {Object[]} references - References as `{ key, url }`
+ * @returns {Object[]}
+ */
+const uniqueIssueReferences = (references) => {
+  const seen = new Set()
+  return references.filter(({ key }) => {
+    const normalizedKey = key.toLowerCase()
+    if (seen.has(normalizedKey)) return false
+    seen.add(normalizedKey)
+    return true
+  })
+}
+
+/**
+ * Render references for `$ISSUES`: GitHub references as is, so GitHub links them,
+ * and other references as Markdown links.
+ * @param {Object[]} references - References as `{ key, url }`
+ * @returns {string} - Comma-separated references
+ */
+const renderIssueReferences = (references) =>
+  references
+    .map(({ key, url }) =>
+      url && !key.includes('#') ? `[${key}](${url})` : key
+    )
+    .join(', ')
+
+exports.GITHUB_ISSUE_REFERENCE_REGEX = GITHUB_ISSUE_REFERENCE_REGEX
+exports.extractIssueReferences = extractIssueReferences
+exports.getClosingIssueReferences = getClosingIssueReferences
+exports.toShortIssueKey = toShortIssueKey
+exports.uniqueIssueReferences = uniqueIssueReferences
+exports.renderIssueReferences = renderIssueReferences
@@ -20,6 +20,22 @@ const getTimestampFromRef = (localGitRoot, ref) => {
   }
 }
 
+/**
+ * Get the SHA of the checked out commit.
+ * @param {string} localGitRoot - Path to the local git repository root
+ * @returns {string|null} The SHA or null if the repository has no commits
+ */
+const getHeadSha = (localGitRoot) => {
+  try {
+    return execSync('git rev-parse HEAD', {
+      cwd: localGitRoot,
+      encoding: 'utf8',
+    }).trim()
+  } catch {
+    return null
+  }
+}
+
 /**
  * Get commits from a local git repository using git log.
  * When a baseRef is provided, uses git ancestry (REF..HEAD) to find commits since that ref.
@@ -39,7 +55,9 @@ const findCommitsFromLocalGit = ({ localGitRoot, baseRef, context }) => {
     })
   }
 
-  const gitLogFormat = '--format="%H|%s|%an|%aI"'
+  // The last field lists the commit's Co-authored-by trailers, separated by %x1f
+  const gitLogFormat =
+    '--format="%H|%s|%an|%aI|%(trailers:key=Co-authored-by,separator=%x1f)"'
   let gitLogCommand = `git log ${gitLogFormat}`
 
   if (baseRef) {
@@ -73,16 +91,17 @@ const findCommitsFromLocalGit = ({ localGitRoot, baseRef, context }) => {
 
   // Parse commits from git log output and create mock PRs linked to each commit
   const commits = lines.map((line) => {
-    const [id, message, authorName, committedDate] = line.split('|')
+    const [id, subject, authorName, committedDate, coAuthorTrailers] =
+      line.split('|')
 
     // Extract PR number from commit message if present (e.g., "feat: add feature (#123)")
-    const prMatch = message.match(/\(#(\d+)\)\s*$/)
+    const prMatch = subject.match(/\(#(\d+)\)\s*$/)
     const prNumber = prMatch ? Number.parseInt(prMatch[1], 10) : ''
 
     // Remove the PR reference from the message if present
     const messageWithoutPr = prMatch
-      ? message.replace(/\s*\(#\d+\)\s*$/, '')
-      : message
+      ? subject.replace(/\s*\(#\d+\)\s*$/, '')
+      : subject
 
     // Parse the semantic commit to extract just the description
     // This ensures the title doesn't include the type prefix (e.g., "feat: ")
@@ -104,6 +123,11 @@ const findCommitsFromLocalGit = ({ localGitRoot, baseRef, context }) => {
       merged: true, // Mark as merged so fromCommits() can find it
     }
 
+    // Keep the Co-authored-by trailers in the message so co-authors are credited
+    const message = coAuthorTrailers
+      ? `${subject}\n\n${coAuthorTrailers.split('\u001F').join('\n')}`
+      : subject
+
     return {
       id,
       message,
@@ -174,4 +198,5 @@ const getTagFromVersion = (baseVersionOverride, tagPrefix = '') => {
 exports.getTimestampFromRef = getTimestampFromRef
 exports.findCommitsFromLocalGit = findCommitsFromLocalGit
 exports.createMockLastRelease = createMockLastRelease
+exports.getHeadSha = getHeadSha
 exports.getTagFromVersion = getTagFromVersion
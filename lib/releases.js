@@ -1,22 +1,30 @@
-const compareVersions = require('compare-versions')
 const regexEscape = require('escape-string-regexp')
 const core = require('@actions/core')
 
-const { getVersionInfo } = require('./versions')
+const {
+  getVersionBackend,
+  addVersionVariables,
+  toSnapshotVersion,
+} = require('./versions')
 const { template } = require('./template')
 const { log } = require('./log')
 const {
-  resolveVersionBumpFromCommits,
   ReleaseChangeLineItems,
+  isExcludedChange,
 } = require('./semantic-commits')
+const { parseCoAuthors } = require('./co-authors')
 
-const sortReleases = (releases, tagPrefix) => {
-  // For semver, we find the greatest release number
-  // For non-semver, we use the most recently merged
+const sortReleases = (
+  releases,
+  tagPrefix,
+  versionBackend = getVersionBackend()
+) => {
+  // For versions of the versioning scheme, we find the greatest release number
+  // For others, we use the most recently merged
   const tagPrefixRexExp = new RegExp(`^${regexEscape(tagPrefix)}`)
   return releases.sort((r1, r2) => {
     try {
-      return compareVersions(
+      return versionBackend.compare(
         r1.tag_name.replace(tagPrefixRexExp, ''),
         r2.tag_name.replace(tagPrefixRexExp, '')
       )
@@ -35,6 +43,7 @@ const findReleases = async ({
   filterByCommitish,
   includePreReleases,
   tagPrefix,
+  versionBackend,
 }) => {
   let releaseCount = 0
   let releases = await context.octokit.paginate(
@@ -70,12 +79,21 @@ const findReleases = async ({
     filteredReleases.filter(
       (r) => !r.draft && (!r.prerelease || includePreReleases)
     ),
-    tagPrefix
+    tagPrefix,
+    versionBackend
   )
   const draftRelease = filteredReleases.find(
     (r) => r.draft && r.prerelease === includePreReleases
   )
   const lastRelease = sortedSelectedReleases[sortedSelectedReleases.length - 1]
+  // The newest published release when it's a prerelease, e.g. the release candidate
+  // a `promote` run publishes as a stable release
+  const newestRelease = sortReleases(
+    filteredReleases.filter((r) => !r.draft),
+    tagPrefix,
+    versionBackend
+  ).at(-1)
+  const lastPreRelease = newestRelease?.prerelease ? newestRelease : undefined
 
   if (draftRelease) {
     log({ context, message: `Draft release: ${draftRelease.tag_name}` })
@@ -94,16 +112,32 @@ const findReleases = async ({
     log({ context, message: `No last release found` })
   }
 
-  return { draftRelease, lastRelease }
+  if (lastPreRelease && lastPreRelease !== lastRelease) {
+    log({ context, message: `Last prerelease: ${lastPreRelease.tag_name}` })
+  }
+
+  return { draftRelease, lastRelease, lastPreRelease }
 }
 
+const BOT_LOGIN_SUFFIX = '[bot]'
+
 const contributorsSentence = ({ commits, pullRequests, config }) => {
   const { 'exclude-contributors': excludeContributors } = config
 
   const contributors = new Set()
 
+  // Logins of the commit authors by email, to credit co-authors who don't
+  // use a noreply email
+  const loginsByEmail = new Map()
+
   for (const commit of commits) {
     if (commit.author.user) {
+      if (commit.author.email) {
+        loginsByEmail.set(
+          commit.author.email.toLowerCase(),
+          commit.author.user.login
+        )
+      }
       if (!excludeContributors.includes(commit.author.user.login)) {
         contributors.add(`@${commit.author.user.login}`)
       }
@@ -112,6 +146,31 @@ const contributorsSentence = ({ commits, pullRequests, config }) => {
     }
   }
 
+  for (const commit of commits) {
+    for (const coAuthor of parseCoAuthors(commit.message)) {
+      const login =
+        coAuthor.login || loginsByEmail.get(coAuthor.email.toLowerCase())
+      if (!login) {
+        if (!excludeContributors.includes(coAuthor.name)) {
+          contributors.add(coAuthor.name)
+        }
+        continue
+      }
+
+      const isBot = login.endsWith(BOT_LOGIN_SUFFIX)
+      const appName = isBot ? login.slice(0, -BOT_LOGIN_SUFFIX.length) : login
+      if (
+        excludeContributors.includes(login) ||
+        excludeContributors.includes(appName)
+      ) {
+        continue
+      }
+      contributors.add(
+        isBot ? `[${login}](https://github.com/apps/${appName})` : `@${login}`
+      )
+    }
+  }
+
   for (const pullRequest of pullRequests) {
     if (
       pullRequest.author &&
@@ -144,12 +203,24 @@ const contributorsSentence = ({ commits, pullRequests, config }) => {
 const generateChangeLog = (mergedPullRequests, commits, config, context) => {
   // Use ReleaseChangeLineItems for commit-based changelog generation
   // This provides proper categorization based on semantic commit types
-  const changeItems = ReleaseChangeLineItems.fromCommits(commits)
+  const changeItems = ReleaseChangeLineItems.fromCommits(commits, config)
   return changeItems.renderWithConfig(config, context)
 }
 
+// `version-resolver` keys that aren't per-type bumps. `major`, `minor` and `patch`
+// are the ignored label lists of upstream release-drafter configs.
+const VERSION_RESOLVER_OPTIONS = new Set([
+  'pre-one-zero-minor-for-breaking',
+  'no-auto-major',
+  'default',
+  'rules',
+  'major',
+  'minor',
+  'patch',
+])
+
 const resolveVersionKeyIncrement = (
-  commits,
+  changeItems,
   config,
   isPreRelease,
   lastRelease
@@ -158,6 +229,11 @@ const resolveVersionKeyIncrement = (
   const preOneZeroMinorForBreaking =
     versionResolver['pre-one-zero-minor-for-breaking'] !== false
   const noAutoMajor = versionResolver['no-auto-major'] !== false
+  const typeBumps = Object.fromEntries(
+    Object.entries(versionResolver).filter(
+      ([key]) => !VERSION_RESOLVER_OPTIONS.has(key)
+    )
+  )
 
   let currentMajor = 0
   if (lastRelease && lastRelease.tag_name) {
@@ -167,14 +243,28 @@ const resolveVersionKeyIncrement = (
     }
   }
 
-  const versionKeyIncrement = resolveVersionBumpFromCommits(commits, {
+  // Changes left out of the notes only count when `bump-excluded-changes` allows it
+  const bumpingItems =
+    config['bump-excluded-changes'] === false
+      ? changeItems.filter((item) => !isExcludedChange(item, config))
+      : changeItems
+
+  const versionKeyIncrement = bumpingItems.resolveVersionBump({
     preOneZeroMinorForBreaking,
     noAutoMajor,
     currentMajor,
+    rules: versionResolver.rules,
+    typeBumps,
+    defaultBump: versionResolver.default,
   })
 
   core.debug('versionKeyIncrement: ' + versionKeyIncrement)
 
+  // No release is needed, so there's no prerelease to increment either
+  if (versionKeyIncrement === 'none') {
+    return versionKeyIncrement
+  }
+
   const shouldIncrementAsPrerelease =
     isPreRelease && config['prerelease-identifier']
 
@@ -185,6 +275,13 @@ const resolveVersionKeyIncrement = (
   return `pre${versionKeyIncrement}`
 }
 
+// Variables of the build for `version-template`: the abbreviated SHA of the commit
+// being built and the date as `YYYYMMDD`
+const getBuildVariables = (targetSha, date = new Date()) => ({
+  $SHORT_SHA: (targetSha || '').slice(0, 7),
+  $DATE: date.toISOString().slice(0, 10).replaceAll('-', ''),
+})
+
 const generateReleaseInfo = ({
   context,
   commits,
@@ -199,15 +296,20 @@ const generateReleaseInfo = ({
   latest,
   shouldDraft,
   targetCommitish,
+  targetSha,
 }) => {
   const { owner, repo } = context.repo()
 
+  // Parse once so the changelog and the version bump see the same change items
+  // (e.g. reverted changes are excluded from both)
+  const changeItems = ReleaseChangeLineItems.fromCommits(commits, config)
+
   let body = config['header'] + config.template + config['footer']
   body = template(
     body,
     {
       $PREVIOUS_TAG: lastRelease ? lastRelease.tag_name : '',
-      $CHANGES: generateChangeLog(mergedPullRequests, commits, config, context),
+      $CHANGES: changeItems.renderWithConfig(config, context),
       $CONTRIBUTORS: contributorsSentence({
         commits,
         pullRequests: mergedPullRequests,
@@ -220,7 +322,7 @@ const generateReleaseInfo = ({
   )
 
   const versionKeyIncrement = resolveVersionKeyIncrement(
-    commits,
+    changeItems,
     config,
     isPreRelease,
     lastRelease
@@ -228,19 +330,41 @@ const generateReleaseInfo = ({
 
   core.info(`Version bump type: ${versionKeyIncrement}`)
 
-  const versionInfo = getVersionInfo(
-    lastRelease,
-    config['version-template'],
-    // overrideVersion: explicit user input (always wins)
-    // Falls back to tag or name for backwards compatibility
-    overrideVersion || tag || name,
-    versionKeyIncrement,
-    config['tag-prefix'],
-    config['prerelease-identifier'],
-    // draftVersion: from draft release (acts as floor vs computed)
-    draftVersion
+  // A `none` bump keeps the version of the last release: there is nothing to
+  // release unless a version, tag or name is given explicitly
+  const shouldRelease =
+    versionKeyIncrement !== 'none' || Boolean(overrideVersion || tag || name)
+
+  const buildVariables = getBuildVariables(targetSha)
+  const versionInfo = addVersionVariables(
+    getVersionBackend(config).getVersionInfo({
+      release: lastRelease,
+      template: config['version-template'],
+      // inputVersion: explicit user input (always wins)
+      // Falls back to tag or name for backwards compatibility
+      inputVersion: overrideVersion || tag || name,
+      versionKeyIncrement,
+      tagPrefix: config['tag-prefix'],
+      preReleaseIdentifier: config['prerelease-identifier'],
+      // draftVersion: from draft release (acts as floor vs computed)
+      draftVersion,
+    }),
+    buildVariables
   )
 
+  // Snapshots are unique prereleases of the commit that are never released,
+  // e.g. for nightly builds
+  if (config.snapshot && versionInfo.$RESOLVED_VERSION) {
+    versionInfo.$RESOLVED_VERSION = toSnapshotVersion(
+      versionInfo.$RESOLVED_VERSION,
+      {
+        identifier: config['snapshot-identifier'],
+        date: buildVariables.$DATE,
+        shortSha: buildVariables.$SHORT_SHA,
+      }
+    )
+  }
+
   if (versionInfo && versionInfo.$RESOLVED_VERSION) {
     core.info(`Calculated version: ${versionInfo.$RESOLVED_VERSION.version}`)
   }
@@ -283,6 +407,7 @@ const generateReleaseInfo = ({
   let majorVersion = versionInfo.$RESOLVED_VERSION.$MAJOR
   let minorVersion = versionInfo.$RESOLVED_VERSION.$MINOR
   let patchVersion = versionInfo.$RESOLVED_VERSION.$PATCH
+  let buildVersion = versionInfo.$RESOLVED_VERSION.$BUILD_NUMBER
 
   // Debug: Log generated release draft
   core.info(`Generated release draft:`)
@@ -305,6 +430,8 @@ const generateReleaseInfo = ({
     majorVersion,
     minorVersion,
     patchVersion,
+    buildVersion,
+    shouldRelease,
   }
 }
 
@@ -362,6 +489,7 @@ function updateDraftReleaseParameters(parameters) {
 }
 
 exports.findReleases = findReleases
+exports.contributorsSentence = contributorsSentence
 exports.generateChangeLog = generateChangeLog
 exports.generateReleaseInfo = generateReleaseInfo
 exports.createRelease = createRelease
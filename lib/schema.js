@@ -1,8 +1,19 @@
 const _ = require('lodash')
 const Joi = require('joi')
 const { SORT_BY, SORT_DIRECTIONS } = require('./sort-pull-requests')
-const { DEFAULT_CONFIG } = require('./default-config')
+const {
+  DEFAULT_CONFIG,
+  FOUR_PART_VERSION_TEMPLATE,
+  getDefaultCategories,
+} = require('./default-config')
 const { validateReplacers } = require('./template')
+const {
+  COMMIT_CONVENTIONS,
+  TITLE_POST_PROCESSORS,
+} = require('./semantic-commits')
+const { getCalVerFormatError } = require('./calver')
+const { FOUR_PART_VERSION_PARTS } = require('./four-part-versions')
+const { VERSIONING_SCHEMES } = require('./versions')
 const merge = require('deepmerge')
 
 const schema = (context) => {
@@ -23,6 +34,13 @@ const schema = (context) => {
         .allow('')
         .default(DEFAULT_CONFIG['change-title-escapes']),
 
+      'breaking-description-template': Joi.string()
+        .allow('')
+        .default(DEFAULT_CONFIG['breaking-description-template'])
+        .description(
+          'Template for the migration text rendered under each entry of a category matching the `breaking` commit type. Set to an empty string to disable.'
+        ),
+
       'no-changes-template': Joi.string().default(
         DEFAULT_CONFIG['no-changes-template']
       ),
@@ -31,6 +49,44 @@ const schema = (context) => {
         DEFAULT_CONFIG['version-template']
       ),
 
+      'versioning-scheme': Joi.string()
+        .valid(...VERSIONING_SCHEMES)
+        .default(DEFAULT_CONFIG['versioning-scheme'])
+        .description(
+          'How versions are ordered and `$RESOLVED_VERSION` is resolved: `semver` bumps the last version by the changes, `four-part` does the same for `1.4.2.37` versions and `calver` uses the date of the release with the `calver-format`.'
+        ),
+
+      'calver-format': Joi.string()
+        .custom(validateCalVerFormat)
+        .default(DEFAULT_CONFIG['calver-format'])
+        .description(
+          'Format of calendar versions with `versioning-scheme: calver`: dot-separated date tokens (`YYYY`, `YY`, `0Y`, `MM`, `0M`, `WW`, `0W`, `DD`, `0D`) followed by the `MICRO` counter.'
+        ),
+
+      'version-source': Joi.string()
+        .allow('')
+        .default(DEFAULT_CONFIG['version-source'])
+        .description(
+          'Path of the project manifest holding the current version, used as the base version when there is no release yet: `package.json`, `pyproject.toml`, `Cargo.toml`, `setup.cfg`, `pom.xml` or a file with the version on its first line, like `VERSION`.'
+        ),
+
+      'four-part-bumps': Joi.object()
+        .keys({
+          major: Joi.string()
+            .valid(...FOUR_PART_VERSION_PARTS)
+            .default(DEFAULT_CONFIG['four-part-bumps'].major),
+          minor: Joi.string()
+            .valid(...FOUR_PART_VERSION_PARTS)
+            .default(DEFAULT_CONFIG['four-part-bumps'].minor),
+          patch: Joi.string()
+            .valid(...FOUR_PART_VERSION_PARTS)
+            .default(DEFAULT_CONFIG['four-part-bumps'].patch),
+        })
+        .default(DEFAULT_CONFIG['four-part-bumps'])
+        .description(
+          'The part of four-part versions each version bump increments, e.g. `patch: build` to release fixes as `1.4.2.38`. The parts after it are reset to 0.'
+        ),
+
       'name-template': Joi.string()
         .allow('')
         .default(DEFAULT_CONFIG['name-template']),
@@ -69,6 +125,25 @@ const schema = (context) => {
         .allow('')
         .default(DEFAULT_CONFIG['prerelease-identifier']),
 
+      promote: Joi.boolean()
+        .default(DEFAULT_CONFIG.promote)
+        .description(
+          'Publish the last prerelease as a stable release, e.g. `1.3.0-rc.4` as `1.3.0`, with the changes since the last stable release. Usually set with the `promote` input.'
+        ),
+
+      snapshot: Joi.boolean()
+        .default(DEFAULT_CONFIG.snapshot)
+        .description(
+          'Resolve a snapshot version like `1.5.0-snapshot.20261019+g3f2a1bc`, a prerelease of the date with the commit as build metadata, without creating or updating a release. Usually set with the `snapshot` input.'
+        ),
+
+      'snapshot-identifier': Joi.string()
+        .regex(/^[\da-z-]+$/i)
+        .default(DEFAULT_CONFIG['snapshot-identifier'])
+        .description(
+          'The prerelease identifier of snapshot versions, e.g. `nightly`.'
+        ),
+
       latest: Joi.string()
         .allow('', 'true', 'false', 'legacy')
         .default(DEFAULT_CONFIG.latest),
@@ -122,11 +197,148 @@ const schema = (context) => {
             'commit-scopes': Joi.array()
               .items(Joi.string())
               .single()
-              .default([]),
+              .default([])
+              .description(
+                'Commit scopes to match, case-insensitively. A commit with several scopes, like `feat(api,cli):`, matches on any of them. A pattern ending in `/*`, like `ui/*`, matches the parent scope and every scope nested under it.'
+              ),
+            'group-by': Joi.string()
+              .valid('scope')
+              .description(
+                'Group the entries of this category under a sub-heading per scope (see `scope-template`). Unscoped entries are listed first, without a sub-heading.'
+              ),
           })
         )
         .default(DEFAULT_CONFIG.categories),
 
+      'commit-convention': Joi.string()
+        .valid(...Object.keys(COMMIT_CONVENTIONS))
+        .default(DEFAULT_CONFIG['commit-convention'])
+        .description(
+          'The format of semantic commit lines. `conventional` (or `conventionalcommits`) parses `type(scope)!: description` lines, `angular` parses `type(scope): subject` lines, `eslint` parses `Tag: description (fixes #1)` lines, `gitmoji` parses lines starting with a gitmoji, like `✨ add search` or `:bug: fix crash`. Tags and gitmojis are mapped to the matching commit type.'
+        ),
+
+      'commit-pattern': Joi.string()
+        .allow('')
+        .custom(validateCommitPattern)
+        .default(DEFAULT_CONFIG['commit-pattern'])
+        .description(
+          'A regular expression matching semantic commit lines, used instead of `commit-convention`. It must capture the `type` and `description` named groups, and may capture `scope` and `breaking`.'
+        ),
+
+      'commit-types': Joi.object()
+        .pattern(
+          /^\w+$/,
+          Joi.object().keys({
+            title: Joi.string(),
+            bump: Joi.string().valid('major', 'minor', 'patch'),
+          })
+        )
+        .default(DEFAULT_CONFIG['commit-types'])
+        .description(
+          'Additional or overridden semantic commit types, keyed by type. Each entry may set a `title` and a `bump` level (major, minor, patch). Entries are merged over the built-in types.'
+        ),
+
+      'type-aliases': Joi.object()
+        .pattern(/^\w+$/, Joi.string().pattern(/^\w+$/))
+        .default(DEFAULT_CONFIG['type-aliases'])
+        .description(
+          'Alternative commit types, mapped to the canonical type they stand for, e.g. `feature: feat`. Aliases and types are matched case-insensitively and the canonical type must be a built-in type or one defined in `commit-types`.'
+        ),
+
+      'parse-list-items': Joi.boolean()
+        .default(DEFAULT_CONFIG['parse-list-items'])
+        .description(
+          'Also parse semantic lines prefixed with a list marker (`*`, `-`, `+`, `1.`), such as the bullets of a GitHub squash merge body.'
+        ),
+
+      'change-source': Joi.string()
+        .valid('commit', 'pull-request', 'auto')
+        .default(DEFAULT_CONFIG['change-source'])
+        .description(
+          'Where changes are parsed from. `commit` parses commit messages. `pull-request` parses the title of each merged pull request once, falling back to the commit message for commits without a pull request. `auto` parses the pull request title when it is semantic and the commit message otherwise.'
+        ),
+
+      'changelog-trailers': Joi.object()
+        .keys({
+          skip: Joi.string().allow(''),
+          description: Joi.string().allow(''),
+          type: Joi.string().allow(''),
+        })
+        .default(DEFAULT_CONFIG['changelog-trailers'])
+        .description(
+          'The names of the trailers an author can add to a commit message or pull request body to adjust its entry. `skip` (`Changelog: skip`) leaves the entry out, `description` (`Release-Note: <text>`) replaces its description, `type` (`Release-Note-Type: fix`) re-categorizes it. An empty name disables the trailer.'
+        ),
+
+      'pull-request-trailers': Joi.boolean()
+        .default(DEFAULT_CONFIG['pull-request-trailers'])
+        .description(
+          'Also read the `changelog-trailers` of pull request bodies. This downloads the body of every pull request of the release.'
+        ),
+
+      'issue-trackers': Joi.array()
+        .items(
+          Joi.object().keys({
+            keys: Joi.array()
+              .items(Joi.string().pattern(/^[A-Z][\dA-Z_]*$/))
+              .single()
+              .min(1)
+              .required(),
+            'link-template': Joi.string().required(),
+          })
+        )
+        .default(DEFAULT_CONFIG['issue-trackers'])
+        .description(
+          'External issue trackers whose issue keys are linked in `$ISSUES`. Each entry lists the project `keys` (e.g. `PLAT` for `PLAT-881`) and the `link-template` of an issue, where `$KEY` is the issue key.'
+        ),
+
+      'exclude-types': Joi.array()
+        .items(Joi.string())
+        .default(DEFAULT_CONFIG['exclude-types'])
+        .description(
+          'Commit types left out of the release notes, e.g. `ci`. Excluded changes still count toward the version bump unless `bump-excluded-changes` is `false`.'
+        ),
+
+      'exclude-scopes': Joi.array()
+        .items(Joi.string())
+        .default(DEFAULT_CONFIG['exclude-scopes'])
+        .description(
+          'Commit scopes left out of the release notes, e.g. `deps`. Supports the same wildcards as category `commit-scopes`.'
+        ),
+
+      'exclude-descriptions': Joi.array()
+        .items(Joi.string().custom(validateRegex))
+        .default(DEFAULT_CONFIG['exclude-descriptions'])
+        .description(
+          'Regular expressions matched against change descriptions, ignoring case. Matching changes are left out of the release notes.'
+        ),
+
+      'bump-excluded-changes': Joi.boolean()
+        .default(DEFAULT_CONFIG['bump-excluded-changes'])
+        .description(
+          'Whether changes left out by `exclude-types`, `exclude-scopes` and `exclude-descriptions` still count toward the version bump.'
+        ),
+
+      'duplicate-changes': Joi.string()
+        .valid('keep', 'first', 'last', 'merge')
+        .default(DEFAULT_CONFIG['duplicate-changes'])
+        .description(
+          'How to handle changes with the same pull request number, type, scopes and description, such as the commits of a rebase-merged pull request. `keep` lists them all, `first` and `last` keep one of them, `merge` lists one entry whose `$SHA` has every commit.'
+        ),
+
+      'non-semantic-commits': Joi.string()
+        .valid('ignore', 'include', 'fail')
+        .default(DEFAULT_CONFIG['non-semantic-commits'])
+        .description(
+          'How to handle commits without a semantic line. `ignore` leaves them out of the notes, `include` lists them as uncategorized changes titled from their pull request or first line, `fail` fails the run listing the offending commits.'
+        ),
+
+      'reverted-changes': Joi.string()
+        .valid('hide', 'collapse')
+        .default(DEFAULT_CONFIG['reverted-changes'])
+        .description(
+          'How to render changes that were reverted within the release range. `hide` drops them, `collapse` lists them in a collapsed "Reverted" block. Reverted changes never count toward the version bump.'
+        ),
+
       'version-resolver': Joi.object()
         .keys({
           'pre-one-zero-minor-for-breaking': Joi.boolean().default(
@@ -136,15 +348,66 @@ const schema = (context) => {
           ),
           'no-auto-major': Joi.boolean().default(true),
           default: Joi.string()
-            .valid('major', 'minor', 'patch')
-            .default('patch'),
+            .valid('major', 'minor', 'patch', 'none')
+            .default('patch')
+            .description(
+              'The bump of non-semantic commits included with `non-semantic-commits: include`, and of ranges of only ignored non-semantic commits.'
+            ),
+          rules: Joi.array()
+            .items(
+              Joi.object()
+                .keys({
+                  'commit-types': Joi.array().items(Joi.string()).single(),
+                  'commit-scopes': Joi.array().items(Joi.string()).single(),
+                  bump: Joi.string()
+                    .valid('major', 'minor', 'patch', 'none')
+                    .required(),
+                })
+                .or('commit-types', 'commit-scopes')
+            )
+            .default(DEFAULT_CONFIG['version-resolver'].rules)
+            .description(
+              'Bump rules matched on commit type and scope, like categories, e.g. `{ commit-types: [feat], commit-scopes: [internal], bump: patch }`. The first matching rule sets the bump of a change, before the per-type bumps and breaking changes.'
+            ),
         })
+        // Commit types. `major`, `minor` and `patch` are the label lists of upstream
+        // release-drafter configs, which are still accepted but have no effect.
+        .pattern(
+          /^(?!(?:major|minor|patch)$)[\w-]+$/,
+          Joi.string()
+            .valid('major', 'minor', 'patch', 'none')
+            .description(
+              'The bump of a commit type, e.g. `perf: minor`. `none` means the type needs no release.'
+            )
+        )
         .default(DEFAULT_CONFIG['version-resolver']),
 
       'category-template': Joi.string()
         .allow('')
         .default(DEFAULT_CONFIG['category-template']),
 
+      'title-processors': Joi.array()
+        .items(
+          Joi.string().valid(...Object.keys(TITLE_POST_PROCESSORS)),
+          Joi.object().keys({
+            'capitalize-acronyms': Joi.array()
+              .items(Joi.string())
+              .single()
+              .required(),
+          })
+        )
+        .single()
+        .default(DEFAULT_CONFIG['title-processors'])
+        .description(
+          'Processors applied, in order, to the title of each change: `none`, `sentence-case`, `lowercase-first`, `strip-trailing-period`, `trim-ticket-prefix`, `collapse-whitespace` and `capitalize-acronyms`. Give `capitalize-acronyms` extra words as `{ capitalize-acronyms: [gRPC] }`. Use `none` to keep titles as written.'
+        ),
+
+      'scope-template': Joi.string()
+        .default(DEFAULT_CONFIG['scope-template'])
+        .description(
+          'The template of the scope sub-headings of categories with `group-by: scope`. `$SCOPE` is the scope.'
+        ),
+
       header: Joi.string().allow('').default(DEFAULT_CONFIG.header),
 
       template: Joi.string().required(),
@@ -159,6 +422,43 @@ const schema = (context) => {
     })
 }
 
+const validateCalVerFormat = (value, helpers) => {
+  const error = getCalVerFormatError(value)
+  return error ? helpers.message(`{{#label}} ${error}`) : value
+}
+
+const validateRegex = (value, helpers) => {
+  try {
+    new RegExp(value)
+  } catch (error) {
+    return helpers.message(`{{#label}} is not a valid regex: ${error.message}`)
+  }
+  return value
+}
+
+const validateCommitPattern = (value, helpers) => {
+  if (!value) return value
+
+  let regex
+  try {
+    regex = new RegExp(value)
+  } catch (error) {
+    return helpers.message(
+      `"commit-pattern" is not a valid regex: ${error.message}`
+    )
+  }
+
+  const groups = new RegExp(`${regex.source}|`).exec('').groups || {}
+  for (const group of ['type', 'description']) {
+    if (!(group in groups)) {
+      return helpers.message(
+        `"commit-pattern" must capture the "${group}" named group`
+      )
+    }
+  }
+  return value
+}
+
 const validateSchema = (context, repoConfig) => {
   // Use custom merge options to replace arrays instead of concatenating them
   // This ensures user-provided categories replace defaults rather than being appended
@@ -175,6 +475,21 @@ const validateSchema = (context, repoConfig) => {
 
   if (error) throw error
 
+  // When the user keeps the default categories, give custom commit types a home
+  const hasUserCategories =
+    Array.isArray(repoConfig.categories) && repoConfig.categories.length > 0
+  if (!hasUserCategories) {
+    config.categories = getDefaultCategories(config['commit-types'])
+  }
+
+  // The default version template would leave out the fourth part
+  if (
+    config['versioning-scheme'] === 'four-part' &&
+    !repoConfig['version-template']
+  ) {
+    config['version-template'] = FOUR_PART_VERSION_TEMPLATE
+  }
+
   try {
     config.replacers = validateReplacers({
       context,
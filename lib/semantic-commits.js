@@ -1,6 +1,14 @@
 const regexEscape = require('escape-string-regexp')
 const { template } = require('./template')
 const core = require('@actions/core')
+const { matchGitmojiHeader } = require('./gitmoji')
+const {
+  extractIssueReferences,
+  getClosingIssueReferences,
+  toShortIssueKey,
+  uniqueIssueReferences,
+  renderIssueReferences,
+} = require('./issue-references')
 
 // Regex to parse semantic commit messages
 // Groups: 1=type, 2=scope (optional), 3=breaking indicator (optional), 4=description, 5=PR number (optional)
@@ -9,28 +17,148 @@ const core = require('@actions/core')
 const SEMANTIC_COMMIT_REGEX =
   /^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+?)(?:\s*\(#(\d+)\))?$/
 
+// Regex to parse Angular commit messages: "type(scope): subject", without a `!` breaking indicator
+// Groups: 1=type, 2=scope (optional), 3=description, 4=PR number (optional)
+const ANGULAR_COMMIT_REGEX = /^(\w+)(?:\(([^)]+)\))?: (.+?)(?:\s*\(#(\d+)\))?$/
+
+// Regex to parse ESLint-style commit messages, e.g. "Fix: crash on empty input (fixes #12)"
+// Groups: 1=tag, 2=description, 3=issue references (optional), 4=PR number (optional)
+const ESLINT_COMMIT_REGEX =
+  /^(\w+):\s*(.+?)(?:\s*\(((?:fixes|refs) #\d+(?:,\s*(?:fixes|refs) #\d+)*)\))?(?:\s*\(#(\d+)\))?$/i
+
+// ESLint-style tags mapped to the commit type they stand for
+const ESLINT_TAGS = {
+  fix: { type: 'fix' },
+  update: { type: 'feat' },
+  new: { type: 'feat' },
+  breaking: { type: 'feat', breaking: true },
+  docs: { type: 'docs' },
+  build: { type: 'build' },
+  upgrade: { type: 'chore' },
+  chore: { type: 'chore' },
+}
+
+// Regex to split a trailing PR number off a description, e.g. "add search (#123)"
+// Groups: 1=PR number
+const PR_NUMBER_SUFFIX_REGEX = /\s*\(#(\d+)\)$/
+
+// Regex to parse Conventional Commits footers, e.g. "Reviewed-by: Z" or "Refs #123"
+// Groups: 1=token, 2=value
+// `BREAKING CHANGE` is the only token allowed to contain a space
+const FOOTER_TOKEN_REGEX = /^(BREAKING[ -]CHANGE|[\w-]+)(?::(?:\s+|$)|\s#)(.*)$/
+
+const BREAKING_CHANGE_TOKEN_REGEX = /^BREAKING[ -]CHANGE$/
+
+// Separators between the scopes of a multi-scope commit, e.g. "feat(api,cli):" or "feat(api cli):"
+const SCOPE_SEPARATOR_REGEX = /[\s,]+/
+
+// Regex to strip a Markdown list marker ("* ", "- ", "+ ", "1. " or "1) ") from a line
+const LIST_MARKER_REGEX = /^(?:[*+-]|\d+[).])\s+/
+
+// Regexes to find the commit a revert commit reverts:
+// - git's default body line: `This reverts commit <sha>.`
+// - a semantic revert header: `revert: feat: add x`
+// - git's / GitHub's default header: `Revert "feat: add x"`
+const REVERT_SHA_REGEX = /This reverts commit ([\da-f]{7,40})/
+const REVERT_SEMANTIC_HEADER_REGEX = /^revert(?:\([^)]*\))?!?:\s*(.+)$/i
+const REVERT_GIT_HEADER_REGEX = /^Revert "(.+)"/
+
+// Words kept in their usual spelling by the `capitalize-acronyms` title processor
+const TITLE_ACRONYMS = [
+  'API',
+  'CLI',
+  'CSS',
+  'CSV',
+  'DNS',
+  'GitHub',
+  'GraphQL',
+  'HTML',
+  'HTTP',
+  'HTTPS',
+  'ID',
+  'iOS',
+  'JSON',
+  'JWT',
+  'macOS',
+  'OAuth',
+  'PDF',
+  'SDK',
+  'SQL',
+  'SSH',
+  'SSO',
+  'UI',
+  'URL',
+  'UUID',
+  'XML',
+  'YAML',
+]
+
+// Regex to find a leading issue key, e.g. "PLAT-881: ", "[PLAT-881] " or "(PLAT-881) - "
+// Bare keys need a separator, so that titles like "UTF-8 support" are kept
+const TICKET_PREFIX_REGEX =
+  /^\s*(?:\[[A-Z][\dA-Z_]*-\d+]|\([A-Z][\dA-Z_]*-\d+\)|[A-Z][\dA-Z_]*-\d+(?=\s*[:-]))(?:\s*[:-])?\s+/
+
 /**
  * Available title post-processors that can be applied to change titles.
+ * Each processor takes the title and its options from the `title-processors` config.
  */
 const TITLE_POST_PROCESSORS = {
+  none: (title) => title,
   'sentence-case': (title) => {
     if (!title || title.length === 0) return title
     return title.charAt(0).toUpperCase() + title.slice(1)
   },
+  'lowercase-first': (title) => {
+    if (!title) return title
+    // Leave acronyms such as "API" or "CI" alone
+    if (/^\p{Lu}{2}/u.test(title)) return title
+    return title.charAt(0).toLowerCase() + title.slice(1)
+  },
+  'strip-trailing-period': (title) => {
+    if (!title) return title
+    // Keep ellipses, e.g. "and more..."
+    return title.replace(/(?<!\.)\.$/, '')
+  },
+  'trim-ticket-prefix': (title) => {
+    if (!title) return title
+    return title.replace(TICKET_PREFIX_REGEX, '')
+  },
+  'collapse-whitespace': (title) => {
+    if (!title) return title
+    return title.replaceAll(/\s+/g, ' ').trim()
+  },
+  'capitalize-acronyms': (title, words = []) => {
+    if (!title) return title
+    const spellings = new Map(
+      [...TITLE_ACRONYMS, ...words].map((word) => [word.toLowerCase(), word])
+    )
+    const wordRegex = new RegExp(
+      `\\b(?:${[...spellings.values()]
+        .map((word) => regexEscape(word))
+        .join('|')})\\b`,
+      'gi'
+    )
+    return title.replace(wordRegex, (match) =>
+      spellings.get(match.toLowerCase())
+    )
+  },
 }
 
 /**
  * Apply a list of post-processors to a title string.
  * @param {string} title - The title to process
- * @param {string[]} processors - Array of processor names to apply
+ * @param {Array<string|Object>} processors - Processor names to apply, in order. A processor
+ *   with options is an object keyed by its name, e.g. `{ 'capitalize-acronyms': ['gRPC'] }`
  * @returns {string} - The processed title
  */
 const applyTitlePostProcessors = (title, processors = []) => {
   let result = title
-  for (const processorName of processors) {
+  for (const entry of processors) {
+    const [processorName, options] =
+      typeof entry === 'string' ? [entry] : Object.entries(entry)[0]
     const processor = TITLE_POST_PROCESSORS[processorName]
     if (processor) {
-      result = processor(result)
+      result = processor(result, options)
     }
   }
   return result
@@ -51,6 +179,56 @@ const COMMIT_TYPES = {
   infra: { title: 'Infrastructure', bump: 'patch' },
 }
 
+/**
+ * Merge user-defined commit types (the `commit-types` config) over the built-in table.
+ * Overrides are merged per type, so `fix: { bump: 'minor' }` keeps the built-in title.
+ * @param {Object} overrides - Map of commit type to `{ title, bump }`
+ * @returns {Object} - Merged commit type table keyed by lowercase type
+ */
+const resolveCommitTypes = (overrides = {}) => {
+  const commitTypes = { ...COMMIT_TYPES }
+  for (const [type, definition] of Object.entries(overrides || {})) {
+    const key = type.toLowerCase()
+    commitTypes[key] = {
+      title: key,
+      bump: 'patch',
+      ...COMMIT_TYPES[key],
+      ...definition,
+    }
+  }
+  return commitTypes
+}
+
+/**
+ * Normalize the `type-aliases` config: keys and canonical types are lowercased and
+ * trimmed, so `Feature: Feat` aliases `feature` to `feat`.
+ * @param {Object} aliases - Map of alias to canonical commit type
+ * @returns {Object} - Normalized alias map
+ */
+const resolveTypeAliases = (aliases = {}) => {
+  const typeAliases = {}
+  for (const [alias, type] of Object.entries(aliases || {})) {
+    typeAliases[alias.trim().toLowerCase()] = type.trim().toLowerCase()
+  }
+  return typeAliases
+}
+
+/**
+ * Resolve the raw type of a semantic line to a known commit type, case-insensitively
+ * and through the type aliases.
+ * @param {string} type - Raw type, as written in the commit
+ * @param {Object} commitTypes - Commit type table (see resolveCommitTypes)
+ * @param {Object} [typeAliases] - Alias map (see resolveTypeAliases)
+ * @returns {string|null} - The canonical type, or null when the type is unknown
+ */
+const resolveCommitType = (type, commitTypes, typeAliases = {}) => {
+  const lowerType = type.toLowerCase()
+  const canonicalType = Object.hasOwn(typeAliases, lowerType)
+    ? typeAliases[lowerType]
+    : lowerType
+  return Object.hasOwn(commitTypes, canonicalType) ? canonicalType : null
+}
+
 /**
  * Represents a single change line item parsed from a semantic commit.
  * Each commit message can produce zero or more ReleaseChangeLineItem instances.
@@ -59,25 +237,40 @@ class ReleaseChangeLineItem {
   constructor({
     type,
     scope,
+    scopes,
     description,
     breaking,
     raw,
     commitSha,
+    commitShas,
     prNumber,
     author,
+    breakingDescription,
+    trailers,
+    issues,
+    commitTypes = COMMIT_TYPES,
   }) {
+    // Non-enumerable so the commit type table doesn't leak into logged items
+    Object.defineProperty(this, 'commitTypes', { value: commitTypes })
     this.type = type
     this.scope = scope || null
+    this.scopes = scopes || splitScopes(scope)
     this.description = description
     this.breaking = breaking
     this.raw = raw
     this.commitSha = commitSha || null
+    // Every commit behind the item, more than one when duplicates were merged
+    this.commitShas = commitShas || (commitSha ? [commitSha] : [])
     this.prNumber = prNumber || null
     this.author = author || null
+    this.breakingDescription = breakingDescription || null
+    this.trailers = trailers || {}
+    // Issue references as `{ key, url }` (see lib/issue-references.js)
+    this.issues = issues || []
   }
 
   get category() {
-    return COMMIT_TYPES[this.type] || null
+    return this.commitTypes[this.type] || null
   }
 
   get categoryTitle() {
@@ -92,6 +285,10 @@ class ReleaseChangeLineItem {
   get shortSha() {
     return this.commitSha ? this.commitSha.slice(0, 7) : null
   }
+
+  get shortShas() {
+    return this.commitShas.map((sha) => sha.slice(0, 7))
+  }
 }
 
 /**
@@ -99,21 +296,79 @@ class ReleaseChangeLineItem {
  * Provides aggregation methods for version bump calculation, categorization, and filtering.
  */
 class ReleaseChangeLineItems {
-  constructor(items = []) {
+  constructor(
+    items = [],
+    { commitTypes = COMMIT_TYPES, reverted = [], onlyReverts = false } = {}
+  ) {
     this.items = items
+    this.commitTypes = commitTypes
+    // Items whose commit was reverted within the same range (see fromCommits)
+    this.reverted = reverted
+    // Whether every commit of the range is a paired revert or reverted commit
+    this.onlyReverts = onlyReverts
   }
 
   /**
    * Create a ReleaseChangeLineItems collection from raw commits.
+   * Reverts are paired with the commits they revert when both are in `commits`;
+   * neither produces items, and the reverted commit's items are kept in `reverted`.
    * @param {Array} commits - Array of commit objects with message, id, associatedPullRequests
+   * @param {Object} [config] - Release drafter config
+   * @param {Object} [config['commit-types']] - Custom commit types merged over COMMIT_TYPES
+   * @param {Object} [config['type-aliases']] - Map of alias to canonical commit type
+   * @param {boolean} [config['parse-list-items']] - Parse semantic lines prefixed with list markers
+   * @param {string} [config['non-semantic-commits']] - `include` adds an untyped item for each non-semantic commit
+   * @param {string} [config['change-source']] - Parse commit messages, pull request titles or both (see parseChangeSource)
+   * @param {Object} [config['changelog-trailers']] - Names of the trailers that skip or override an entry
+   * @param {boolean} [config['pull-request-trailers']] - Also apply the trailers of pull request bodies
+   * @param {string} [config['duplicate-changes']] - Deduplication strategy (see dedupe), defaults to `first`
    * @returns {ReleaseChangeLineItems} - Collection of change line items
    */
-  static fromCommits(commits) {
+  static fromCommits(commits, config = {}) {
+    const parseOptions = getParseOptions(config)
+    const { commitTypes } = parseOptions
+    const includeNonSemantic = config['non-semantic-commits'] === 'include'
+    const { revertCommits, revertedCommits } = pairRevertedCommits(commits)
     const items = []
+    const reverted = []
+    // Pull requests whose title already produced items, so each is listed once
+    const parsedPullRequests = new Set()
+    const parsedCommits = []
+    // Number of entries of each pull request, over all its commits
+    const pullRequestEntryCounts = new Map()
 
     for (const commit of commits) {
-      const parsedResults = parseSemanticCommit(commit.message)
+      if (revertCommits.has(commit)) continue
+
       const pr = commit.associatedPullRequests?.nodes?.find((p) => p.merged)
+      if (pr && parsedPullRequests.has(pr.number)) continue
+
+      const changeSource = parseChangeSource(commit, pr, config, parseOptions)
+      let entries = changeSource.entries
+      if (changeSource.source === 'pull-request') {
+        parsedPullRequests.add(pr.number)
+      }
+      if (entries.length === 0 && includeNonSemantic) {
+        entries = [parseNonSemanticCommit(commit.message, pr, parseOptions)]
+      }
+      parsedCommits.push({ commit, pr, entries })
+      if (pr) {
+        pullRequestEntryCounts.set(
+          pr.number,
+          (pullRequestEntryCounts.get(pr.number) || 0) + entries.length
+        )
+      }
+    }
+
+    for (const { commit, pr, entries } of parsedCommits) {
+      const isReverted = revertedCommits.has(commit)
+      const parsedResults = applyPullRequestTrailers(
+        entries,
+        pr,
+        parseOptions,
+        pullRequestEntryCounts.get(pr?.number)
+      )
+      const closingIssues = getClosingIssueReferences(pr)
 
       // Normalize author to string (GitHub API returns object with login, local git returns string)
       let author = null
@@ -122,26 +377,57 @@ class ReleaseChangeLineItems {
       }
 
       for (const parsed of parsedResults) {
+        if (parsed.alias) {
+          core.info(`  Applied type alias: ${parsed.alias} -> ${parsed.type}`)
+        }
+
         // Use PR number from associated PR, or fall back to PR number parsed from commit message
         const prNumber = pr?.number || parsed.prNumberFromCommit
         const item = new ReleaseChangeLineItem({
           type: parsed.type,
           scope: parsed.scope,
+          scopes: parsed.scopes,
           description: parsed.description,
           breaking: parsed.breaking,
           raw: parsed.raw,
           commitSha: commit.oid,
           prNumber,
           author,
+          breakingDescription: parsed.breakingDescription,
+          trailers: parsed.trailers,
+          issues: uniqueIssueReferences(
+            [...parsed.issues, ...closingIssues].map((issue) => ({
+              ...issue,
+              key: toShortIssueKey(
+                issue.key,
+                pr?.baseRepository?.nameWithOwner
+              ),
+            }))
+          ),
+          commitTypes,
         })
-        items.push(item)
+        if (isReverted) {
+          reverted.push(item)
+        } else {
+          items.push(item)
+        }
 
         // Debug: Log parsed change item with all attributes
         core.info(`  Parsed change item: ${JSON.stringify(item)}`)
       }
     }
 
-    return new ReleaseChangeLineItems(items)
+    const onlyReverts =
+      commits.length > 0 &&
+      commits.every(
+        (commit) => revertCommits.has(commit) || revertedCommits.has(commit)
+      )
+
+    return new ReleaseChangeLineItems(items, {
+      commitTypes,
+      reverted,
+      onlyReverts,
+    }).dedupe(config['duplicate-changes'] || 'first')
   }
 
   get length() {
@@ -170,7 +456,8 @@ class ReleaseChangeLineItems {
    */
   getBreakingChanges() {
     return new ReleaseChangeLineItems(
-      this.items.filter((item) => item.breaking)
+      this.items.filter((item) => item.breaking),
+      { commitTypes: this.commitTypes }
     )
   }
 
@@ -181,40 +468,65 @@ class ReleaseChangeLineItems {
    */
   getByType(type) {
     return new ReleaseChangeLineItems(
-      this.items.filter((item) => item.type === type)
+      this.items.filter((item) => item.type === type),
+      { commitTypes: this.commitTypes }
     )
   }
 
+  /**
+   * Collapse duplicate items, such as the commits of a rebase-merged pull request that
+   * share a message. Items are duplicates when they have the same PR number, type,
+   * scopes and description (compared case- and whitespace-insensitively). Items
+   * without a PR number, like direct pushes, are never duplicates.
+   * Each group of duplicates takes the position of its first item.
+   * @param {string} [strategy] - `keep` all items, keep the `first` or the `last` item,
+   *   or `merge` the group into one item listing every commit SHA
+   * @returns {ReleaseChangeLineItems}
+   */
+  dedupe(strategy = 'first') {
+    if (strategy === 'keep') return this
+
+    const groups = new Map()
+    for (const [index, item] of this.items.entries()) {
+      // Unique keys keep items without a pull request as they are
+      const key = item.prNumber ? getDedupeKey(item) : index
+      if (groups.has(key)) {
+        groups.get(key).push(item)
+      } else {
+        groups.set(key, [item])
+      }
+    }
+
+    const items = [...groups.values()].map((group) => {
+      if (group.length === 1) return group[0]
+      core.info(
+        `  Deduplicated ${group.length} change items: ${group[0].description}`
+      )
+      if (strategy === 'last') return group.at(-1)
+      if (strategy === 'merge') return mergeChangeItems(group)
+      return group[0]
+    })
+
+    return new ReleaseChangeLineItems(items, {
+      commitTypes: this.commitTypes,
+      reverted: this.reverted,
+      onlyReverts: this.onlyReverts,
+    })
+  }
+
   /**
    * Resolve the version bump based on all items in the collection.
-   * @param {Object} config - Version resolution config
+   * @param {Object} config - Version resolution config (see resolveVersionBumpFromChangeItems)
    * @param {boolean} config.preOneZeroMinorForBreaking - Bump minor for breaking changes pre-1.0
    * @param {boolean} config.noAutoMajor - Never auto-bump major version
    * @param {number} config.currentMajor - Current major version number
-   * @returns {string} - Version bump type (major, minor, patch)
+   * @returns {string} - Version bump type (major, minor, patch, none)
    */
   resolveVersionBump(config = {}) {
-    const {
-      preOneZeroMinorForBreaking = true,
-      noAutoMajor = true,
-      currentMajor = 0,
-    } = config
-
-    let maxBump = 'patch'
-
-    if (this.hasBreakingChanges) {
-      if (currentMajor === 0 && preOneZeroMinorForBreaking) {
-        maxBump = 'minor'
-      } else if (noAutoMajor) {
-        maxBump = 'minor'
-      } else {
-        maxBump = 'major'
-      }
-    } else if (this.hasFeatures) {
-      maxBump = 'minor'
-    }
-
-    return maxBump
+    // Reverted pairs contribute nothing, rather than the default bump of a range
+    // without semantic changes
+    if (this.items.length === 0 && this.onlyReverts) return 'none'
+    return resolveVersionBumpFromChangeItems(this.items, config)
   }
 
   /**
@@ -222,27 +534,7 @@ class ReleaseChangeLineItems {
    * @returns {Object} - Object with categories and uncategorized arrays
    */
   categorizeByType() {
-    const categories = {}
-
-    for (const typeKey of Object.keys(COMMIT_TYPES)) {
-      categories[typeKey] = {
-        ...COMMIT_TYPES[typeKey],
-        type: typeKey,
-        items: [],
-      }
-    }
-
-    const uncategorized = []
-
-    for (const item of this.items) {
-      if (categories[item.type]) {
-        categories[item.type].items.push(item)
-      } else {
-        uncategorized.push(item)
-      }
-    }
-
-    return { categories, uncategorized }
+    return categorizeChangeItemsByType(this.items, this.commitTypes)
   }
 
   /**
@@ -252,7 +544,8 @@ class ReleaseChangeLineItems {
    */
   filter(predicate) {
     return new ReleaseChangeLineItems(
-      this.items.filter((item) => predicate(item))
+      this.items.filter((item) => predicate(item)),
+      { commitTypes: this.commitTypes, onlyReverts: this.onlyReverts }
     )
   }
 
@@ -294,21 +587,40 @@ class ReleaseChangeLineItems {
    * Render the collection as a changelog body using the provided config.
    * @param {Object} config - Release drafter config
    * @param {string} config['change-template'] - Template for each change line
+   * @param {string} config['breaking-description-template'] - Template for the migration text under breaking changes
    * @param {string} config['category-template'] - Template for category headers
+   * @param {string} config['scope-template'] - Template for the scope sub-headings of `group-by: scope` categories
    * @param {Array} config.categories - Array of category definitions with title and commit-types
    * @param {string} config['no-changes-template'] - Template when no changes
    * @param {string} config['change-title-escapes'] - Characters to escape in titles
+   * @param {Array<string|Object>} config['title-processors'] - Processors applied to titles (see applyTitlePostProcessors)
+   * @param {string} config['reverted-changes'] - `hide` or `collapse` changes reverted within the range
+   * @param {string[]} config['exclude-types'] - Types left out of the body (see isExcludedChange)
+   * @param {string[]} config['exclude-scopes'] - Scopes left out of the body
+   * @param {string[]} config['exclude-descriptions'] - Description regexes left out of the body
    * @returns {string} - Rendered changelog body
    */
   renderWithConfig(config, context = null) {
-    if (this.items.length === 0) {
-      return config['no-changes-template'] || '* No changes'
+    const revertedBlock =
+      config['reverted-changes'] === 'collapse'
+        ? this.renderRevertedBlock(config, context)
+        : ''
+
+    const items = this.items.filter((item) => !isExcludedChange(item, config))
+
+    if (items.length === 0) {
+      const noChanges = config['no-changes-template'] || '* No changes'
+      return revertedBlock ? `${noChanges}\n\n${revertedBlock}` : noChanges
     }
 
     const categories = config.categories || []
     const categoryTemplate = config['category-template'] || '## $TITLE'
+    const scopeTemplate = config['scope-template'] || '### $SCOPE'
     const changeTemplate = config['change-template'] || '* $TITLE'
+    const breakingDescriptionTemplate =
+      config['breaking-description-template'] || ''
     const escapeChars = config['change-title-escapes'] || ''
+    const titleProcessors = config['title-processors'] || ['sentence-case']
     const repoInfo = context ? context.repo() : { owner: '', repo: '' }
 
     // Group items by category
@@ -318,7 +630,7 @@ class ReleaseChangeLineItems {
     }))
     const uncategorized = []
 
-    for (const item of this.items) {
+    for (const item of items) {
       let found = false
       for (const cat of categorizedItems) {
         const commitScopes = cat['commit-scopes'] || []
@@ -326,12 +638,8 @@ class ReleaseChangeLineItems {
         const hasScopes = commitScopes.length > 0
         const hasTypes = commitTypes.length > 0
 
-        // Check scope matching (case-insensitive on both sides)
-        const matchesScope =
-          item.scope &&
-          commitScopes
-            .map((s) => s.toLowerCase())
-            .includes(item.scope.toLowerCase())
+        // Check scope matching against any of the item's scopes
+        const matchesScope = matchesScopes(item.scopes, commitScopes)
 
         // Check type matching
         const matchesType = commitTypes.includes(item.type)
@@ -380,15 +688,17 @@ class ReleaseChangeLineItems {
     // Helper to render a single item
     const renderItem = (item) => {
       const prNumber = item.prNumber || ''
-      // Always apply sentence-case to titles
-      const processedTitle = TITLE_POST_PROCESSORS['sentence-case'](
-        item.description
+      const processedTitle = applyTitlePostProcessors(
+        item.description,
+        titleProcessors
       )
       return template(changeTemplate, {
         $TITLE: escapeTitle(processedTitle),
         $NUMBER: prNumber,
         $AUTHOR: item.author || 'ghost',
-        $SHA: item.shortSha || '',
+        $SHA: item.shortShas.join(', '),
+        $BREAKING_DESCRIPTION: item.breakingDescription || '',
+        $ISSUES: renderIssueReferences(item.issues),
         $URL:
           prNumber && repoInfo.owner && repoInfo.repo
             ? `https://github.com/${repoInfo.owner}/${repoInfo.repo}/pull/${prNumber}`
@@ -396,6 +706,46 @@ class ReleaseChangeLineItems {
       })
     }
 
+    // Helper to render a breaking change entry with its migration text nested below it
+    const renderBreakingItem = (item) => {
+      const line = renderItem(item)
+      if (!breakingDescriptionTemplate || !item.breakingDescription) {
+        return line
+      }
+      const description = template(breakingDescriptionTemplate, {
+        $BREAKING_DESCRIPTION: item.breakingDescription,
+      })
+      const indented = description
+        .split('\n')
+        .map((descriptionLine) => `  ${descriptionLine}`)
+        .join('\n')
+      return `${line}\n${indented}`
+    }
+
+    // Helper to render the entries of a category, with migration text under entries of
+    // breaking categories
+    const renderCategoryItems = (items, isBreakingCategory) =>
+      items
+        .map((item) =>
+          isBreakingCategory ? renderBreakingItem(item) : renderItem(item)
+        )
+        .join('\n')
+
+    // Helper to render the entries of a `group-by: scope` category under a sub-heading
+    // per scope, after the unscoped entries
+    const renderScopeGroups = (items, isBreakingCategory) =>
+      groupItemsByScope(items)
+        .map(({ scope, items: groupItems }) => {
+          const renderedItems = renderCategoryItems(
+            groupItems,
+            isBreakingCategory
+          )
+          if (!scope) return renderedItems
+          const scopeHeader = template(scopeTemplate, { $SCOPE: scope })
+          return `${scopeHeader}\n\n${renderedItems}`
+        })
+        .join('\n\n')
+
     // Build the changelog
     const changeLog = []
 
@@ -456,8 +806,14 @@ class ReleaseChangeLineItems {
       const shouldCollapse =
         collapseAfter > 0 && category.items.length > collapseAfter
 
-      // Render all items
-      const allItems = category.items.map((item) => renderItem(item)).join('\n')
+      // Render all items, with migration text under entries of breaking categories
+      const isBreakingCategory = (category['commit-types'] || []).includes(
+        'breaking'
+      )
+      const allItems =
+        category['group-by'] === 'scope'
+          ? renderScopeGroups(category.items, isBreakingCategory)
+          : renderCategoryItems(category.items, isBreakingCategory)
 
       if (shouldCollapse) {
         // Collapse ALL items in a <details> block
@@ -475,58 +831,807 @@ class ReleaseChangeLineItems {
       addedCategories++
     }
 
+    if (revertedBlock) {
+      changeLog.push(`\n\n${revertedBlock}`)
+    }
+
     return changeLog.join('').trim()
   }
+
+  /**
+   * Render the changes that were reverted within the range as a collapsed block.
+   * @param {Object} config - Release drafter config (see renderWithConfig)
+   * @param {Object} [context] - Probot context, used to build PR URLs
+   * @returns {string} - Rendered block, or an empty string when nothing was reverted
+   */
+  renderRevertedBlock(config, context = null) {
+    const reverted = this.reverted.filter(
+      (item) => !isExcludedChange(item, config)
+    )
+    if (reverted.length === 0) return ''
+
+    // Render the reverted items as an uncategorized collection
+    const revertedItems = new ReleaseChangeLineItems(reverted, {
+      commitTypes: this.commitTypes,
+    })
+    const renderedItems = revertedItems.renderWithConfig(
+      { ...config, categories: [], 'reverted-changes': 'hide' },
+      context
+    )
+    const summaryText =
+      reverted.length === 1
+        ? 'Reverted (1 change)'
+        : `Reverted (${reverted.length} changes)`
+    return `<details>\n<summary>${summaryText}</summary>\n\n${renderedItems}\n</details>`
+  }
 }
 
-const parseSemanticCommit = (message) => {
-  if (!message) return []
+/**
+ * Split the scope of a semantic commit into its individual scopes.
+ * `feat(api,cli):` and `feat(api cli):` both have the scopes `api` and `cli`.
+ * @param {string} [scope] - The raw scope, without parentheses
+ * @returns {string[]} - The scopes, empty when the commit has no scope
+ */
+const splitScopes = (scope) =>
+  scope ? scope.split(SCOPE_SEPARATOR_REGEX).filter(Boolean) : []
 
-  const lines = message.split('\n')
-  const results = []
-  const hasBreakingChangeInBody = message.includes('BREAKING CHANGE:')
+/**
+ * Check whether a scope matches a `commit-scopes` pattern, case-insensitively.
+ * A pattern ending in `/*` matches its parent scope and every scope nested under
+ * it: `ui/*` matches `ui`, `ui/button` and `ui/button/icon`. A bare `*` matches
+ * any scope.
+ * @param {string} scope - A single scope of a change item
+ * @param {string} pattern - An entry of a category's `commit-scopes`
+ * @returns {boolean} - Whether the scope matches
+ */
+const matchesScopePattern = (scope, pattern) => {
+  const normalizedScope = scope.toLowerCase()
+  const normalizedPattern = pattern.toLowerCase()
+
+  if (normalizedPattern === '*') return true
+  if (normalizedPattern.endsWith('/*')) {
+    const parent = normalizedPattern.slice(0, -2)
+    return (
+      normalizedScope === parent || normalizedScope.startsWith(`${parent}/`)
+    )
+  }
+  return normalizedScope === normalizedPattern
+}
 
-  for (const line of lines) {
-    const trimmedLine = line.trim()
-    if (!trimmedLine) continue
+/**
+ * Check whether any of a change item's scopes matches any of the patterns.
+ * @param {string[]} scopes - The item's scopes (see splitScopes)
+ * @param {string[]} patterns - Scope patterns (see matchesScopePattern)
+ * @returns {boolean} - Whether at least one scope matches
+ */
+const matchesScopes = (scopes, patterns) =>
+  scopes.some((scope) =>
+    patterns.some((pattern) => matchesScopePattern(scope, pattern))
+  )
 
-    const match = trimmedLine.match(SEMANTIC_COMMIT_REGEX)
-    if (!match) continue
+/**
+ * Group change items by their first scope, for categories with `group-by: scope`.
+ * Scopes are compared case-insensitively and sorted alphabetically, after the group
+ * of unscoped items.
+ * @param {ReleaseChangeLineItem[]} items
+ * @returns {Object[]} - Groups as `{ scope, items }`, where `scope` is null for
+ *   unscoped items
+ */
+const groupItemsByScope = (items) => {
+  const groups = new Map()
+  for (const item of items) {
+    const [scope = null] = item.scopes
+    const key = scope === null ? '' : scope.toLowerCase()
+    if (!groups.has(key)) groups.set(key, { scope, items: [] })
+    groups.get(key).items.push(item)
+  }
 
-    // Groups: 1=type, 2=scope (optional), 3=breaking indicator (optional), 4=description, 5=PR number (optional)
-    const [, type, scope, breaking, description, prNumberFromCommit] = match
-    const lowerType = type.toLowerCase()
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, group]) => group)
+}
 
-    if (!COMMIT_TYPES[lowerType]) continue
+/**
+ * Check whether a change item is left out of the release notes by the
+ * `exclude-types`, `exclude-scopes` or `exclude-descriptions` config.
+ * @param {ReleaseChangeLineItem} item
+ * @param {Object} config - Release drafter config
+ * @returns {boolean}
+ */
+const isExcludedChange = (item, config) => {
+  const excludeTypes = config['exclude-types'] || []
+  const excludeScopes = config['exclude-scopes'] || []
+  const excludeDescriptions = config['exclude-descriptions'] || []
+
+  return (
+    excludeTypes.includes(item.type) ||
+    matchesScopes(item.scopes, excludeScopes) ||
+    excludeDescriptions.some((pattern) =>
+      new RegExp(pattern, 'i').test(item.description)
+    )
+  )
+}
 
-    const hasBreakingChange = breaking === '!' || hasBreakingChangeInBody
+/**
+ * Build the key under which duplicate change items are grouped (see dedupe).
+ * @param {ReleaseChangeLineItem} item
+ * @returns {string}
+ */
+const getDedupeKey = (item) =>
+  JSON.stringify([
+    item.prNumber,
+    item.type,
+    item.scopes.map((scope) => scope.toLowerCase()).sort(),
+    (item.description || '').toLowerCase().replace(/\s+/g, ' ').trim(),
+  ])
 
-    results.push({
-      type: lowerType,
-      scope: scope || null,
-      description: description.trim(),
-      breaking: hasBreakingChange,
-      raw: trimmedLine,
-      prNumberFromCommit: prNumberFromCommit
-        ? Number.parseInt(prNumberFromCommit, 10)
-        : null,
+/**
+ * Merge trailer maps, keeping each value once per token.
+ * @param {...Object} trailerMaps - Maps of token to values (see parseCommitFooters)
+ * @returns {Object} - The merged map
+ */
+const mergeTrailers = (...trailerMaps) => {
+  const trailers = {}
+  for (const trailerMap of trailerMaps) {
+    for (const [token, values] of Object.entries(trailerMap || {})) {
+      trailers[token] = [...new Set([...(trailers[token] || []), ...values])]
+    }
+  }
+  return trailers
+}
+
+/**
+ * Merge a group of duplicate change items into one. The first item provides the
+ * entry, the others add their commit SHAs, breaking flag and footers.
+ * @param {ReleaseChangeLineItem[]} group - Duplicate items, in collection order
+ * @returns {ReleaseChangeLineItem}
+ */
+const mergeChangeItems = (group) => {
+  const [first] = group
+  const breakingDescriptions = [
+    ...new Set(group.map((item) => item.breakingDescription).filter(Boolean)),
+  ]
+  const trailers = mergeTrailers(...group.map((item) => item.trailers))
+
+  return new ReleaseChangeLineItem({
+    ...first,
+    commitShas: [...new Set(group.flatMap((item) => item.commitShas))],
+    breaking: group.some((item) => item.breaking),
+    breakingDescription: breakingDescriptions.join('\n') || null,
+    trailers,
+    issues: uniqueIssueReferences(group.flatMap((item) => item.issues)),
+    commitTypes: first.commitTypes,
+  })
+}
+
+/**
+ * Build the parseSemanticCommit options from the release drafter config.
+ * @param {Object} config - Release drafter config
+ * @returns {Object} - `{ commitTypes, typeAliases, convention, commitPattern,
+ *   changelogTrailers, pullRequestTrailers, issueTrackers, parseListItems }`
+ */
+const getParseOptions = (config = {}) => ({
+  commitTypes: resolveCommitTypes(config['commit-types']),
+  typeAliases: resolveTypeAliases(config['type-aliases']),
+  convention: config['commit-convention'] || 'conventional',
+  commitPattern: config['commit-pattern'] || null,
+  changelogTrailers: config['changelog-trailers'] || null,
+  pullRequestTrailers: Boolean(config['pull-request-trailers']),
+  issueTrackers: config['issue-trackers'] || [],
+  parseListItems: Boolean(config['parse-list-items']),
+})
+
+/**
+ * Build an untyped entry for a commit whose message has no semantic line, titled
+ * from its merged pull request or else from the first line of the message.
+ * @param {string} message - The full commit message
+ * @param {Object} [pr] - The commit's merged pull request
+ * @param {Object} [options]
+ * @param {Object[]} [options.issueTrackers] - `issue-trackers` config entries
+ * @returns {Object} - Entry shaped like a parseSemanticCommit result, with a null type
+ */
+const parseNonSemanticCommit = (message, pr, { issueTrackers } = {}) => {
+  const header = (message || '').split('\n')[0].trim()
+  const prMatch = header.match(PR_NUMBER_SUFFIX_REGEX)
+  const description = prMatch ? header.slice(0, prMatch.index) : header
+
+  return {
+    type: null,
+    scope: null,
+    scopes: [],
+    description: pr?.title || description,
+    breaking: false,
+    breakingDescription: null,
+    trailers: parseCommitFooters(message).trailers,
+    issues: extractIssueReferences(message, issueTrackers),
+    raw: header,
+    prNumberFromCommit: prMatch ? Number.parseInt(prMatch[1], 10) : null,
+  }
+}
+
+/**
+ * Parse the semantic entries of a commit from the source selected by `change-source`:
+ * - `commit` (default): the commit message.
+ * - `pull-request`: the title of the commit's merged pull request. Commits without
+ *   one, like direct pushes, fall back to their message.
+ * - `auto`: the pull request title when it is semantic, otherwise the commit message.
+ * @param {Object} commit - Commit object with message and associatedPullRequests
+ * @param {Object} [pr] - The commit's merged pull request
+ * @param {Object} config - Release drafter config
+ * @param {Object} parseOptions - parseSemanticCommit options (see getParseOptions)
+ * @returns {Object} - `{ source, entries }` where source is `commit` or `pull-request`
+ */
+const parseChangeSource = (commit, pr, config, parseOptions) => {
+  const changeSource = config['change-source'] || 'commit'
+
+  if (changeSource !== 'commit' && pr) {
+    const entries = parseSemanticCommit(pr.title, parseOptions)
+    if (changeSource === 'pull-request' || entries.length > 0) {
+      return { source: 'pull-request', entries }
+    }
+  }
+
+  return {
+    source: 'commit',
+    entries: parseSemanticCommit(commit.message, parseOptions),
+  }
+}
+
+/**
+ * Get the last value of a trailer, matching its token case-insensitively.
+ * @param {Object} trailers - Map of token to values (see parseCommitFooters)
+ * @param {string} [token] - Trailer token, e.g. `Release-Note`
+ * @returns {string|null} - The trimmed value, or null when the trailer is absent
+ */
+const getTrailerValue = (trailers, token) => {
+  if (!token) return null
+
+  const lowerToken = token.toLowerCase()
+  const values = Object.entries(trailers || {})
+    .filter(([key]) => key.toLowerCase() === lowerToken)
+    .flatMap(([, tokenValues]) => tokenValues)
+  return values.length > 0 ? values.at(-1).trim() : null
+}
+
+/**
+ * Apply the `changelog-trailers` to a parsed entry: `Changelog: skip` drops it,
+ * `Release-Note: <text>` replaces its description and `Release-Note-Type: <type>`
+ * re-categorizes it. A type override that isn't a known type is ignored.
+ * @param {Object} entry - Entry shaped like a parseSemanticCommit result
+ * @param {Object} trailers - Map of token to values (see parseCommitFooters)
+ * @param {Object} [options]
+ * @param {Object} [options.changelogTrailers] - Trailer names, `{ skip, description, type }`
+ * @param {Object} [options.commitTypes] - Commit type table (see resolveCommitTypes)
+ * @param {Object} [options.typeAliases] - Alias map (see resolveTypeAliases)
+ * @returns {Object|null} - The updated entry, or null when it is skipped
+ */
+const applyChangelogTrailers = (
+  entry,
+  trailers,
+  { changelogTrailers, commitTypes = COMMIT_TYPES, typeAliases = {} } = {}
+) => {
+  if (!changelogTrailers) return entry
+
+  const skip = getTrailerValue(trailers, changelogTrailers.skip)
+  if (skip?.toLowerCase() === 'skip') return null
+
+  const description = getTrailerValue(trailers, changelogTrailers.description)
+  const typeOverride = getTrailerValue(trailers, changelogTrailers.type)
+  const type =
+    typeOverride && resolveCommitType(typeOverride, commitTypes, typeAliases)
+
+  return {
+    ...entry,
+    description: description || entry.description,
+    type: type || entry.type,
+  }
+}
+
+/**
+ * Apply the `changelog-trailers` of each entry and, with `pull-request-trailers`, of
+ * the pull request body, which can be edited after merging. Pull request trailers
+ * take precedence. A pull request's description or type override only applies when
+ * it has a single entry; its skip trailer applies to all of them.
+ * @param {Object[]} entries - Entries shaped like parseSemanticCommit results
+ * @param {Object} [pr] - The commit's merged pull request
+ * @param {Object} parseOptions - parseSemanticCommit options (see getParseOptions)
+ * @param {number} [pullRequestEntries] - Number of entries of the pull request, over
+ *   all its commits, defaults to the number of entries
+ * @returns {Object[]} - The entries that aren't skipped
+ */
+const applyPullRequestTrailers = (
+  entries,
+  pr,
+  parseOptions,
+  pullRequestEntries = entries.length
+) => {
+  const { changelogTrailers, pullRequestTrailers } = parseOptions
+  // Prefix an empty header and blank line so the body parses like a commit body
+  let prTrailers =
+    pullRequestTrailers && pr?.body
+      ? parseCommitFooters(`\n\n${pr.body}`, parseOptions).trailers
+      : {}
+  if (pullRequestEntries !== 1) {
+    const skipToken = changelogTrailers?.skip?.toLowerCase()
+    prTrailers = Object.fromEntries(
+      Object.entries(prTrailers).filter(
+        ([token]) => token.toLowerCase() === skipToken
+      )
+    )
+  }
+
+  return entries
+    .map((entry) =>
+      applyChangelogTrailers(
+        entry,
+        mergeTrailers(entry.trailers, prTrailers),
+        parseOptions
+      )
+    )
+    .filter(Boolean)
+}
+
+/**
+ * Find the commits that produce no semantic change items. Reverts paired with a
+ * commit in the same range are not reported (see pairRevertedCommits).
+ * @param {Array} commits - Array of commit objects with message, id, associatedPullRequests
+ * @param {Object} [config] - Release drafter config
+ * @returns {Array} - The non-semantic commits
+ */
+const findNonSemanticCommits = (commits, config = {}) => {
+  const parseOptions = getParseOptions(config)
+  const { revertCommits, revertedCommits } = pairRevertedCommits(commits)
+
+  return commits.filter((commit) => {
+    if (revertCommits.has(commit) || revertedCommits.has(commit)) return false
+    const pr = commit.associatedPullRequests?.nodes?.find((p) => p.merged)
+    if (
+      parseChangeSource(commit, pr, config, parseOptions).entries.length > 0
+    ) {
+      return false
+    }
+    // Commits opted out with a skip trailer aren't reported
+    const entries = [parseNonSemanticCommit(commit.message, pr)]
+    return applyPullRequestTrailers(entries, pr, parseOptions).length > 0
+  })
+}
+
+/**
+ * Normalize a commit header for revert matching: drop the PR suffix, surrounding
+ * quotes and case.
+ * @param {string} header - Commit header
+ * @returns {string}
+ */
+const normalizeRevertHeader = (header) =>
+  header
+    .trim()
+    .replace(/\s*\(#\d+\)$/, '')
+    .replace(/^"(.*)"$/, '$1')
+    .trim()
+    .toLowerCase()
+
+/**
+ * Find which commit a commit message reverts.
+ * @param {string} message - The full commit message
+ * @returns {Object|null} - `{ sha, header }` of the reverted commit (either may be null),
+ *   or null when the message isn't a revert
+ */
+const getRevertTarget = (message) => {
+  if (!message) return null
+
+  const header = message.split('\n')[0].trim()
+  const shaMatch = message.match(REVERT_SHA_REGEX)
+  const headerMatch =
+    header.match(REVERT_GIT_HEADER_REGEX) ||
+    header.match(REVERT_SEMANTIC_HEADER_REGEX)
+
+  if (!shaMatch && !headerMatch) return null
+
+  return {
+    sha: shaMatch ? shaMatch[1].toLowerCase() : null,
+    header: headerMatch ? normalizeRevertHeader(headerMatch[1]) : null,
+  }
+}
+
+/**
+ * Pair revert commits with the commits they revert within a list of commits.
+ * A revert is matched by the SHA in `This reverts commit <sha>`, or else by the
+ * reverted header. Commits are expected newest first (as returned by GitHub and
+ * `git log`), so reverting a revert re-includes the original change.
+ * @param {Array} commits - Array of commit objects with message and oid (or id)
+ * @returns {Object} - `{ revertCommits, revertedCommits }` Sets of paired commits
+ */
+const pairRevertedCommits = (commits) => {
+  const revertCommits = new Set()
+  const revertedCommits = new Set()
+
+  for (const commit of commits) {
+    if (revertedCommits.has(commit)) continue
+
+    const target = getRevertTarget(commit.message)
+    if (!target) continue
+
+    const revertedCommit = commits.find((candidate) => {
+      if (candidate === commit || revertCommits.has(candidate)) return false
+      if (revertedCommits.has(candidate)) return false
+      const sha = (candidate.oid || candidate.id || '').toLowerCase()
+      if (target.sha) {
+        return Boolean(sha) && sha.startsWith(target.sha)
+      }
+      const candidateHeader = candidate.message?.split('\n')[0] || ''
+      return normalizeRevertHeader(candidateHeader) === target.header
     })
+
+    if (revertedCommit) {
+      revertCommits.add(commit)
+      revertedCommits.add(revertedCommit)
+    }
+  }
+
+  return { revertCommits, revertedCommits }
+}
+
+/**
+ * Match a line against the Conventional Commits convention: `type(scope)!: description`.
+ * @param {string} line - Trimmed line
+ * @returns {Object|null} - `{ type, scope, breaking, description, prNumber }` with the
+ *   type as written, or null when the line doesn't match
+ */
+const matchConventionalHeader = (line) => {
+  const match = line.match(SEMANTIC_COMMIT_REGEX)
+  if (!match) return null
+
+  // Groups: 1=type, 2=scope (optional), 3=breaking indicator (optional), 4=description, 5=PR number (optional)
+  const [, type, scope, breaking, description, prNumber] = match
+  return { type, scope, breaking: breaking === '!', description, prNumber }
+}
+
+/**
+ * Match a line against the Angular convention: `type(scope): subject`. Unlike
+ * Conventional Commits, breaking changes are only announced in footers.
+ * @param {string} line - Trimmed line
+ * @returns {Object|null} - See matchConventionalHeader
+ */
+const matchAngularHeader = (line) => {
+  const match = line.match(ANGULAR_COMMIT_REGEX)
+  if (!match) return null
+
+  const [, type, scope, description, prNumber] = match
+  return { type, scope, breaking: false, description, prNumber }
+}
+
+/**
+ * Match a line against the ESLint convention: `Tag: description (fixes #1)`, where the
+ * tag maps to a commit type (see ESLINT_TAGS). Issue references are returned as
+ * `Fixes` and `Refs` trailers.
+ * @param {string} line - Trimmed line
+ * @returns {Object|null} - See matchConventionalHeader, plus `trailers`
+ */
+const matchEslintHeader = (line) => {
+  const match = line.match(ESLINT_COMMIT_REGEX)
+  if (!match) return null
+
+  const [, tagName, description, references, prNumber] = match
+  const tag = ESLINT_TAGS[tagName.toLowerCase()]
+  if (!tag) return null
+
+  const trailers = {}
+  for (const reference of references ? references.split(',') : []) {
+    const [keyword, issue] = reference.trim().split(/\s+/)
+    const token = `${keyword[0].toUpperCase()}${keyword.slice(1).toLowerCase()}`
+    trailers[token] = [...(trailers[token] || []), issue]
+  }
+
+  return {
+    type: tag.type,
+    scope: null,
+    breaking: Boolean(tag.breaking),
+    description,
+    prNumber,
+    trailers,
+  }
+}
+
+/**
+ * Create a header matcher from a `commit-pattern` regex. The pattern must capture the
+ * `type` and `description` named groups, and may capture `scope` and `breaking`; any
+ * text captured by `breaking` marks the change as breaking. A trailing `(#123)` is
+ * split off the description as the PR number.
+ * @param {string} pattern - Regular expression source
+ * @returns {Function} - Header matcher, see matchConventionalHeader
+ */
+const createPatternHeaderMatcher = (pattern) => {
+  const regex = new RegExp(pattern)
+
+  return (line) => {
+    const groups = line.match(regex)?.groups
+    if (!groups?.type || !groups.description) return null
+
+    const prMatch = groups.description.match(PR_NUMBER_SUFFIX_REGEX)
+    return {
+      type: groups.type,
+      scope: groups.scope,
+      breaking: Boolean(groups.breaking),
+      description: prMatch
+        ? groups.description.slice(0, prMatch.index)
+        : groups.description,
+      prNumber: prMatch?.[1],
+    }
+  }
+}
+
+// Registry of the built-in commit parser presets, selected by `commit-convention`
+const COMMIT_CONVENTIONS = {
+  conventional: matchConventionalHeader,
+  conventionalcommits: matchConventionalHeader,
+  angular: matchAngularHeader,
+  eslint: matchEslintHeader,
+  gitmoji: matchGitmojiHeader,
+}
+
+// Compiled `commit-pattern` matchers, keyed by pattern
+const patternHeaderMatchers = new Map()
+
+/**
+ * Resolve the header matcher for a commit convention or custom pattern.
+ * @param {string} [convention] - Key of COMMIT_CONVENTIONS
+ * @param {string} [commitPattern] - Custom regex, takes precedence over the convention
+ * @returns {Function} - Header matcher, see matchConventionalHeader
+ */
+const resolveHeaderMatcher = (convention = 'conventional', commitPattern) => {
+  if (!commitPattern) return COMMIT_CONVENTIONS[convention]
+
+  if (!patternHeaderMatchers.has(commitPattern)) {
+    patternHeaderMatchers.set(
+      commitPattern,
+      createPatternHeaderMatcher(commitPattern)
+    )
   }
+  return patternHeaderMatchers.get(commitPattern)
+}
+
+/**
+ * Match a line against the header format of a commit convention and resolve its type.
+ * @param {string} line - Trimmed line
+ * @param {Object} [options]
+ * @param {Object} [options.commitTypes] - Commit type table (see resolveCommitTypes)
+ * @param {Object} [options.typeAliases] - Alias map (see resolveTypeAliases)
+ * @param {string} [options.convention] - Key of COMMIT_CONVENTIONS
+ * @param {string} [options.commitPattern] - Custom regex (see createPatternHeaderMatcher)
+ * @returns {Object|null} - The header with its canonical `type` and lowercased `rawType`,
+ *   or null when the line isn't a header with a known type
+ */
+const matchSemanticHeader = (
+  line,
+  {
+    commitTypes = COMMIT_TYPES,
+    typeAliases = {},
+    convention = 'conventional',
+    commitPattern,
+  } = {}
+) => {
+  const header = resolveHeaderMatcher(convention, commitPattern)(line)
+  if (!header) return null
+
+  const type = resolveCommitType(header.type, commitTypes, typeAliases)
+  return type ? { ...header, type, rawType: header.type.toLowerCase() } : null
+}
+
+/**
+ * Parse the Conventional Commits footers (trailers) of a commit message.
+ *
+ * A footer is a `Token: value` or `Token #value` line. `BREAKING CHANGE:` and
+ * `BREAKING-CHANGE:` footers are recognized on any body line; other tokens only
+ * where a paragraph starts or directly after another footer. Non-footer lines
+ * that follow a footer continue its value, across blank lines, until the next
+ * footer token or semantic header.
+ * @param {string} message - The full commit message
+ * @param {Object} [options]
+ * @param {Object} [options.commitTypes] - Commit type table (see resolveCommitTypes)
+ * @param {Object} [options.typeAliases] - Alias map (see resolveTypeAliases)
+ * @param {string} [options.convention] - Commit convention (see matchSemanticHeader)
+ * @param {string} [options.commitPattern] - Custom header regex (see matchSemanticHeader)
+ * @returns {Object} - `{ trailers, breakingDescription, hasBreakingChange }` where trailers
+ *   maps each token to the list of its values (breaking tokens are keyed `BREAKING CHANGE`)
+ */
+const parseCommitFooters = (
+  message,
+  {
+    commitTypes = COMMIT_TYPES,
+    typeAliases = {},
+    convention,
+    commitPattern,
+  } = {}
+) => {
+  const trailers = {}
+  const breakingDescriptions = []
+  let hasBreakingChange = false
+
+  if (!message) {
+    return { trailers, breakingDescription: null, hasBreakingChange }
+  }
+
+  const footers = []
+  let currentFooter = null
+  let isParagraphStart = false
+
+  // The first line is the commit header, footers can only follow it
+  for (const line of message.split('\n').slice(1)) {
+    const trimmedLine = line.trim()
+
+    if (!trimmedLine) {
+      // Kept as a paragraph break of a multi-paragraph footer value
+      currentFooter?.lines.push('')
+      isParagraphStart = true
+      continue
+    }
+
+    if (
+      matchSemanticHeader(trimmedLine, {
+        commitTypes,
+        typeAliases,
+        convention,
+        commitPattern,
+      })
+    ) {
+      currentFooter = null
+      isParagraphStart = false
+      continue
+    }
 
-  return results
+    const match = trimmedLine.match(FOOTER_TOKEN_REGEX)
+    const isBreakingToken = match && BREAKING_CHANGE_TOKEN_REGEX.test(match[1])
+
+    if (match && (isBreakingToken || isParagraphStart || currentFooter)) {
+      currentFooter = {
+        token: isBreakingToken ? 'BREAKING CHANGE' : match[1],
+        lines: [match[2].trim()],
+      }
+      footers.push(currentFooter)
+    } else if (currentFooter) {
+      currentFooter.lines.push(trimmedLine)
+    }
+
+    isParagraphStart = false
+  }
+
+  for (const { token, lines } of footers) {
+    const value = lines
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+    trailers[token] = [...(trailers[token] || []), value]
+    if (token === 'BREAKING CHANGE') {
+      hasBreakingChange = true
+      if (value) breakingDescriptions.push(value)
+    }
+  }
+
+  return {
+    trailers,
+    breakingDescription: breakingDescriptions.join('\n') || null,
+    hasBreakingChange,
+  }
+}
+
+/**
+ * Parse a commit message into zero or more semantic commit entries.
+ *
+ * Each semantic header starts a block that runs until the next semantic header, and
+ * footers are only associated with the block they appear in. A `BREAKING CHANGE:`
+ * footer under one entry of a squash commit therefore doesn't flag the other entries.
+ *
+ * With `parseListItems`, semantic lines may be prefixed with a list marker, as in
+ * GitHub's default squash merge body (`* feat: add x`).
+ *
+ * Entries are skipped or overridden by their `changelogTrailers` (see
+ * applyChangelogTrailers).
+ *
+ * Types are matched case-insensitively and resolved through `typeAliases`, so with
+ * `{ feature: 'feat' }` a `Feature: add x` line yields a `feat` entry whose `alias`
+ * is `feature`.
+ *
+ * Headers follow the Conventional Commits format by default. Other conventions are
+ * selected from COMMIT_CONVENTIONS, e.g. `gitmoji` headers start with a gitmoji
+ * (`✨ add x`, see lib/gitmoji.js), or defined by a custom `commitPattern`.
+ * @param {string} message - The full commit message
+ * @param {Object} [options]
+ * @param {Object} [options.commitTypes] - Commit type table (see resolveCommitTypes)
+ * @param {Object} [options.typeAliases] - Alias map (see resolveTypeAliases)
+ * @param {string} [options.convention] - Commit convention (see matchSemanticHeader)
+ * @param {string} [options.commitPattern] - Custom header regex (see matchSemanticHeader)
+ * @param {Object} [options.changelogTrailers] - Trailer names (see applyChangelogTrailers)
+ * @param {Object[]} [options.issueTrackers] - `issue-trackers` config entries
+ * @param {boolean} [options.parseListItems] - Strip list markers before matching lines
+ * @returns {Object[]} - Parsed entries with type, alias, scope, scopes, description,
+ *   breaking, raw, breakingDescription, trailers and issues
+ */
+const parseSemanticCommit = (
+  message,
+  {
+    commitTypes = COMMIT_TYPES,
+    typeAliases = {},
+    convention = 'conventional',
+    commitPattern,
+    changelogTrailers,
+    issueTrackers = [],
+    parseListItems = false,
+  } = {}
+) => {
+  if (!message) return []
+
+  const headerOptions = { commitTypes, typeAliases, convention, commitPattern }
+  const blocks = []
+
+  for (const line of message.split('\n')) {
+    const trimmedLine = line.trim()
+    const candidateLine = parseListItems
+      ? trimmedLine.replace(LIST_MARKER_REGEX, '')
+      : trimmedLine
+    const header = matchSemanticHeader(candidateLine, headerOptions)
+
+    if (header) {
+      blocks.push({ header, raw: candidateLine, lines: [candidateLine] })
+    } else if (blocks.length > 0) {
+      // Lines before the first semantic header don't belong to any entry
+      blocks[blocks.length - 1].lines.push(trimmedLine)
+    }
+  }
+
+  const entries = blocks.map(({ header, raw, lines }) => {
+    const {
+      type,
+      rawType,
+      scope,
+      breaking,
+      description,
+      prNumber,
+      trailers = {},
+    } = header
+    const footers = parseCommitFooters(lines.join('\n'), headerOptions)
+
+    return {
+      type,
+      alias: rawType === type ? null : rawType,
+      scope: scope ? scope.trim() : null,
+      scopes: splitScopes(scope),
+      description: description.trim(),
+      breaking: breaking || footers.hasBreakingChange,
+      breakingDescription: footers.breakingDescription,
+      trailers: mergeTrailers(trailers, footers.trailers),
+      issues: extractIssueReferences(lines.join('\n'), issueTrackers),
+      raw,
+      prNumberFromCommit: prNumber ? Number.parseInt(prNumber, 10) : null,
+    }
+  })
+
+  return entries
+    .map((entry) =>
+      applyChangelogTrailers(entry, entry.trailers, {
+        changelogTrailers,
+        commitTypes,
+        typeAliases,
+      })
+    )
+    .filter(Boolean)
 }
 
 /**
  * Parse all commits into a flat list of ReleaseChangeLineItem instances.
  * This is the primary entry point for converting raw commits to change items.
  * @param {Array} commits - Array of commit objects with message, id, associatedPullRequests
+ * @param {Object} [options]
+ * @param {Object} [options.commitTypes] - Commit type table (see resolveCommitTypes)
  * @returns {ReleaseChangeLineItem[]} - Flat array of change line items
  */
-const parseCommitsToChangeItems = (commits) => {
+const parseCommitsToChangeItems = (
+  commits,
+  { commitTypes = COMMIT_TYPES } = {}
+) => {
   const changeItems = []
 
   for (const commit of commits) {
-    const parsedResults = parseSemanticCommit(commit.message)
+    const parsedResults = parseSemanticCommit(commit.message, { commitTypes })
 
     const pr = commit.associatedPullRequests?.nodes?.find((p) => p.merged)
 
@@ -543,12 +1648,16 @@ const parseCommitsToChangeItems = (commits) => {
         new ReleaseChangeLineItem({
           type: parsed.type,
           scope: parsed.scope,
+          scopes: parsed.scopes,
           description: parsed.description,
           breaking: parsed.breaking,
           raw: parsed.raw,
           commitSha: commit.oid,
           prNumber,
           author,
+          breakingDescription: parsed.breakingDescription,
+          trailers: parsed.trailers,
+          commitTypes,
         })
       )
     }
@@ -557,45 +1666,151 @@ const parseCommitsToChangeItems = (commits) => {
   return changeItems
 }
 
-const getCommitCategory = (parsedCommit) => {
+const getCommitCategory = (parsedCommit, commitTypes = COMMIT_TYPES) => {
   if (!parsedCommit || Array.isArray(parsedCommit)) return null
-  return COMMIT_TYPES[parsedCommit.type] || null
+  return commitTypes[parsedCommit.type] || null
 }
 
-const getCommitCategories = (parsedCommits) => {
+const getCommitCategories = (parsedCommits, commitTypes = COMMIT_TYPES) => {
   if (!parsedCommits || !Array.isArray(parsedCommits)) return []
-  return parsedCommits
-    .map((parsed) => COMMIT_TYPES[parsed.type])
-    .filter(Boolean)
+  return parsedCommits.map((parsed) => commitTypes[parsed.type]).filter(Boolean)
+}
+
+// Version bump levels, from lowest to highest. `none` means no release is needed.
+const BUMP_LEVELS = ['none', 'patch', 'minor', 'major']
+
+/**
+ * Check whether a change item matches a `version-resolver.rules` entry.
+ * Types and scopes are ANDed like category matching: a rule matches on its
+ * `commit-types` (where `breaking` matches breaking changes) and on any of the
+ * item's scopes against its `commit-scopes` (see matchesScopePattern). An empty
+ * list matches anything.
+ * @param {ReleaseChangeLineItem} item
+ * @param {Object} rule - `{ 'commit-types', 'commit-scopes', bump }`
+ * @returns {boolean}
+ */
+const matchesBumpRule = (item, rule) => {
+  const commitTypes = rule['commit-types'] || []
+  const commitScopes = rule['commit-scopes'] || []
+
+  const matchesType =
+    commitTypes.length === 0 ||
+    commitTypes.includes(item.type) ||
+    (item.breaking && commitTypes.includes('breaking'))
+  const matchesScope =
+    commitScopes.length === 0 || matchesScopes(item.scopes, commitScopes)
+  return matchesType && matchesScope
+}
+
+/**
+ * Find the first `version-resolver.rules` entry matching a change item. Breaking
+ * changes only match rules listing the `breaking` type.
+ * @param {ReleaseChangeLineItem} item
+ * @param {Object[]} rules - `version-resolver.rules` entries
+ * @returns {number} - Index of the matching rule, or -1
+ */
+const findBumpRule = (item, rules = []) =>
+  rules.findIndex(
+    (rule) =>
+      matchesBumpRule(item, rule) &&
+      (!item.breaking || (rule['commit-types'] || []).includes('breaking'))
+  )
+
+/**
+ * Describe a `version-resolver.rules` entry for logs, e.g. `feat(internal, test-utils)`.
+ * @param {Object} rule
+ * @returns {string}
+ */
+const describeBumpRule = (rule) => {
+  const commitTypes = rule['commit-types'] || []
+  const commitScopes = rule['commit-scopes'] || []
+  const types = commitTypes.length > 0 ? commitTypes.join('|') : '*'
+  return commitScopes.length > 0
+    ? `${types}(${commitScopes.join(', ')})`
+    : types
+}
+
+/**
+ * Resolve the bump level of a single change item.
+ * The first matching rule of the `version-resolver` config wins, though only rules
+ * for the `breaking` type apply to breaking changes. Otherwise breaking changes
+ * always bump major, the per-type bumps of the `version-resolver` config win
+ * over the commit type's bump, and items without a type (non-semantic commits) use
+ * the default bump.
+ * @param {ReleaseChangeLineItem} item
+ * @param {Object} options
+ * @param {Object[]} [options.rules] - `version-resolver.rules` entries
+ * @param {Object} [options.typeBumps] - Map of commit type to bump level
+ * @param {string} [options.defaultBump] - Bump level of items without a type
+ * @returns {string} - Bump level (none, patch, minor, major)
+ */
+const resolveItemBump = (
+  item,
+  { rules = [], typeBumps = {}, defaultBump = 'patch' }
+) => {
+  const ruleIndex = findBumpRule(item, rules)
+  if (ruleIndex !== -1) return rules[ruleIndex].bump
+  if (item.breaking) return 'major'
+  if (!item.type) return defaultBump
+  return typeBumps[item.type] || item.bump
 }
 
 /**
  * Resolve version bump from pre-parsed change items.
+ * Each item contributes its own bump level (see resolveItemBump), so custom commit
+ * types with `bump: minor` or `bump: major` are honored.
  * @param {ReleaseChangeLineItem[]} changeItems - Pre-parsed change items
  * @param {Object} config - Version resolution config
- * @returns {string} - Version bump type (major, minor, patch)
+ * @param {boolean} config.preOneZeroMinorForBreaking - Bump minor for breaking changes pre-1.0
+ * @param {boolean} config.noAutoMajor - Never auto-bump major version
+ * @param {number} config.currentMajor - Current major version number
+ * @param {Object[]} config.rules - Type and scope bump rules (see resolveItemBump)
+ * @param {Object} config.typeBumps - Map of commit type to bump level, e.g. `{ docs: 'none' }`
+ * @param {string} config.defaultBump - Bump level of non-semantic commits
+ * @returns {string} - Version bump type (major, minor, patch), or `none` when every
+ *   change has a `none` bump
  */
 const resolveVersionBumpFromChangeItems = (changeItems, config = {}) => {
   const {
     preOneZeroMinorForBreaking = true,
     noAutoMajor = true,
     currentMajor = 0,
+    rules = [],
+    typeBumps = {},
+    defaultBump = 'patch',
   } = config
 
-  let maxBump = 'patch'
-  const hasBreaking = changeItems.some((item) => item.breaking)
-  const hasFeature = changeItems.some((item) => item.type === 'feat')
+  // A range without semantic changes, e.g. only ignored non-semantic commits, gets
+  // the default bump
+  if (changeItems.length === 0) return defaultBump
+
+  // Log the rules that decide a bump, so it's clear why the version moved
+  for (const item of changeItems) {
+    const ruleIndex = findBumpRule(item, rules)
+    if (ruleIndex !== -1) {
+      core.info(
+        `  Version bump rule ${ruleIndex + 1} (${describeBumpRule(
+          rules[ruleIndex]
+        )}) matched "${item.raw}": ${rules[ruleIndex].bump}`
+      )
+    }
+  }
+
+  const maxLevel = Math.max(
+    ...changeItems.map((item) =>
+      BUMP_LEVELS.indexOf(
+        resolveItemBump(item, { rules, typeBumps, defaultBump })
+      )
+    )
+  )
+  const maxBump = BUMP_LEVELS[maxLevel]
 
-  if (hasBreaking) {
+  if (maxBump === 'major') {
     if (currentMajor === 0 && preOneZeroMinorForBreaking) {
-      maxBump = 'minor'
+      return 'minor'
     } else if (noAutoMajor) {
-      maxBump = 'minor'
-    } else {
-      maxBump = 'major'
+      return 'minor'
     }
-  } else if (hasFeature) {
-    maxBump = 'minor'
   }
 
   return maxBump
@@ -605,21 +1820,27 @@ const resolveVersionBumpFromChangeItems = (changeItems, config = {}) => {
  * @deprecated Use parseCommitsToChangeItems + resolveVersionBumpFromChangeItems instead
  */
 const resolveVersionBumpFromCommits = (commits, config = {}) => {
-  const changeItems = parseCommitsToChangeItems(commits)
+  const changeItems = parseCommitsToChangeItems(commits, {
+    commitTypes: config.commitTypes,
+  })
   return resolveVersionBumpFromChangeItems(changeItems, config)
 }
 
 /**
  * Categorize pre-parsed change items by commit type.
  * @param {ReleaseChangeLineItem[]} changeItems - Pre-parsed change items
+ * @param {Object} [commitTypes] - Commit type table (see resolveCommitTypes)
  * @returns {Object} - Categories with change items grouped by type
  */
-const categorizeChangeItemsByType = (changeItems) => {
+const categorizeChangeItemsByType = (
+  changeItems,
+  commitTypes = COMMIT_TYPES
+) => {
   const categories = {}
 
-  for (const typeKey of Object.keys(COMMIT_TYPES)) {
+  for (const typeKey of Object.keys(commitTypes)) {
     categories[typeKey] = {
-      ...COMMIT_TYPES[typeKey],
+      ...commitTypes[typeKey],
       type: typeKey,
       items: [],
     }
@@ -677,15 +1898,30 @@ const categorizeCommitsByType = (commits) => {
 }
 
 exports.SEMANTIC_COMMIT_REGEX = SEMANTIC_COMMIT_REGEX
+exports.FOOTER_TOKEN_REGEX = FOOTER_TOKEN_REGEX
 exports.COMMIT_TYPES = COMMIT_TYPES
+exports.resolveCommitTypes = resolveCommitTypes
+exports.resolveTypeAliases = resolveTypeAliases
+exports.COMMIT_CONVENTIONS = COMMIT_CONVENTIONS
+exports.TITLE_ACRONYMS = TITLE_ACRONYMS
 exports.TITLE_POST_PROCESSORS = TITLE_POST_PROCESSORS
 exports.applyTitlePostProcessors = applyTitlePostProcessors
 exports.ReleaseChangeLineItem = ReleaseChangeLineItem
 exports.ReleaseChangeLineItems = ReleaseChangeLineItems
 exports.parseSemanticCommit = parseSemanticCommit
+exports.parseCommitFooters = parseCommitFooters
+exports.findNonSemanticCommits = findNonSemanticCommits
+exports.splitScopes = splitScopes
+exports.matchesScopePattern = matchesScopePattern
+exports.matchesScopes = matchesScopes
+exports.isExcludedChange = isExcludedChange
+exports.groupItemsByScope = groupItemsByScope
 exports.parseCommitsToChangeItems = parseCommitsToChangeItems
 exports.getCommitCategory = getCommitCategory
 exports.getCommitCategories = getCommitCategories
+exports.BUMP_LEVELS = BUMP_LEVELS
+exports.matchesBumpRule = matchesBumpRule
+exports.resolveItemBump = resolveItemBump
 exports.resolveVersionBumpFromChangeItems = resolveVersionBumpFromChangeItems
 exports.resolveVersionBumpFromCommits = resolveVersionBumpFromCommits
 exports.categorizeChangeItemsByType = categorizeChangeItemsByType
@@ -0,0 +1,180 @@
+const fs = require('node:fs')
+const path = require('node:path')
+const core = require('@actions/core')
+const { log } = require('./log')
+
+/**
+ * Read the `version` key of the first matching section of an INI-like file,
+ * e.g. `[project]` of a pyproject.toml or `[metadata]` of a setup.cfg.
+ * @param {string} content - The file content
+ * @param {string[]} sections - Names of the sections holding the version
+ * @returns {string|null}
+ */
+const readSectionVersion = (content, sections) => {
+  let section = ''
+  for (const line of content.split(/\r?\n/)) {
+    const header = line.match(/^\s*\[([^[\]]+)]\s*$/)
+    if (header) {
+      section = header[1].trim()
+      continue
+    }
+    if (!sections.includes(section)) continue
+
+    const value = line.match(/^\s*version\s*[:=]\s*(.+?)\s*$/)?.[1]
+    if (value) {
+      const quoted = value.match(/^(["'])(.*?)\1/)
+      return quoted ? quoted[2] : value.replace(/\s+[#;].*$/, '')
+    }
+  }
+  return null
+}
+
+const readPackageJsonVersion = (content) => {
+  try {
+    return JSON.parse(content).version || null
+  } catch {
+    return null
+  }
+}
+
+// The version of the project itself, not of its parent, dependencies or plugins
+const readPomVersion = (content) => {
+  const project = content
+    .replaceAll(/<!--[\S\s]*?-->/g, '')
+    .replaceAll(
+      /<(parent|dependencies|dependencyManagement|build|profiles)>[\S\s]*?<\/\1>/g,
+      ''
+    )
+  return project.match(/<version>\s*([^\s<]+)\s*<\/version>/)?.[1] || null
+}
+
+// Readers of the manifests of `version-source`, by file name. Other files hold
+// the version on their first line, like a `VERSION` file.
+const VERSION_SOURCE_READERS = {
+  'package.json': readPackageJsonVersion,
+  'pyproject.toml': (content) =>
+    readSectionVersion(content, ['project', 'tool.poetry']),
+  'Cargo.toml': (content) =>
+    readSectionVersion(content, ['package', 'workspace.package']),
+  'setup.cfg': (content) => readSectionVersion(content, ['metadata']),
+  'pom.xml': readPomVersion,
+}
+
+/**
+ * Read the version of a project manifest.
+ * @param {string} versionSource - Path of the manifest, e.g. `packages/app/package.json`
+ * @param {string} content - The manifest content
+ * @returns {string|null} - The version as written, or null when there is none
+ */
+const parseSourceVersion = (versionSource, content) => {
+  const reader = VERSION_SOURCE_READERS[path.basename(versionSource)]
+  if (reader) return reader(content)
+
+  return content.trim().split(/\r?\n/)[0]?.trim() || null
+}
+
+/**
+ * Get the content of a file of the repository: from the local filesystem in
+ * local git mode, like the config, from the GitHub API otherwise.
+ * @returns {Promise<string|null>} - The content, or null when there is no such file,
+ *   e.g. for a directory
+ */
+const readRepositoryFile = async ({ context, filePath, localGitRoot, ref }) => {
+  if (localGitRoot) {
+    const localPath = path.join(localGitRoot, filePath)
+    return fs.existsSync(localPath) && fs.statSync(localPath).isFile()
+      ? fs.readFileSync(localPath, 'utf8')
+      : null
+  }
+
+  try {
+    const { data } = await context.octokit.repos.getContent(
+      context.repo({ path: filePath, ref })
+    )
+    // Directories list their entries, and symlinks and submodules have no content
+    if (Array.isArray(data) || data.type !== 'file') return null
+    return Buffer.from(data.content, data.encoding).toString('utf8')
+  } catch (error) {
+    if (error.status === 404) return null
+    throw error
+  }
+}
+
+/**
+ * Find the current version of the project in the `version-source` manifest.
+ * Problems are warnings, the version is then resolved as without a manifest.
+ * @param {Object} options
+ * @param {Object} options.context - The Probot context
+ * @param {string} options.versionSource - The `version-source` path
+ * @param {string} [options.localGitRoot] - Root of the repository in local git mode
+ * @param {string} [options.ref] - The ref to read the manifest at
+ * @param {Object} options.versionBackend - Backend of the `versioning-scheme`
+ * @returns {Promise<string|null>} - The normalized version, or null
+ */
+const findSourceVersion = async ({
+  context,
+  versionSource,
+  localGitRoot,
+  ref,
+  versionBackend,
+}) => {
+  let content
+  try {
+    content = await readRepositoryFile({
+      context,
+      filePath: versionSource,
+      localGitRoot,
+      ref,
+    })
+  } catch (error) {
+    core.warning(
+      `version-source "${versionSource}" could not be read: ${error.message}`
+    )
+    return null
+  }
+  if (content === null) {
+    core.warning(
+      `version-source "${versionSource}" was not found or is not a file.`
+    )
+    return null
+  }
+
+  const sourceVersion = parseSourceVersion(versionSource, content)
+  const version = sourceVersion && versionBackend.parse(sourceVersion)
+  if (!version) {
+    core.warning(
+      `version-source "${versionSource}" has no valid version` +
+        (sourceVersion ? `: "${sourceVersion}".` : '.')
+    )
+    return null
+  }
+
+  log({ context, message: `Found version ${version} in ${versionSource}` })
+  return version
+}
+
+/**
+ * Get the version of a release, without its tag prefix.
+ * @param {Object} release
+ * @param {Object} options
+ * @param {string} [options.tagPrefix] - The `tag-prefix` of release tags
+ * @param {Object} options.versionBackend - Backend of the `versioning-scheme`
+ * @returns {string|null} - The normalized version, or null
+ */
+const getReleaseVersion = (release, { tagPrefix, versionBackend }) => {
+  for (const input of [release.tag_name, release.name]) {
+    const version =
+      input &&
+      versionBackend.parse(
+        tagPrefix && input.startsWith(tagPrefix)
+          ? input.slice(tagPrefix.length)
+          : input
+      )
+    if (version) return version
+  }
+  return null
+}
+
+exports.parseSourceVersion = parseSourceVersion
+exports.findSourceVersion = findSourceVersion
+exports.getReleaseVersion = getReleaseVersion
@@ -1,13 +1,32 @@
 const semver = require('semver')
+const compareVersions = require('compare-versions')
+const {
+  parseCalVersion,
+  compareCalVersions,
+  getCalVersionInfo,
+} = require('./calver')
+const {
+  parseFourPartVersion,
+  compareFourPartVersions,
+  getFourPartVersionInfo,
+} = require('./four-part-versions')
+
+// Build metadata of a parsed version, e.g. `g3f2a1bc` for `1.5.0+g3f2a1bc`
+const getBuildMetadata = (version) => version.build?.join('.') || ''
 
 const splitSemVersion = (input, versionKey = 'version') => {
   if (!input[versionKey]) {
     return
   }
 
-  const version = input.inc
+  // Incremented versions are new builds, a kept version keeps its build metadata
+  const buildMetadata = input.inc ? '' : getBuildMetadata(input[versionKey])
+  const coreVersion = input.inc
     ? semver.inc(input[versionKey], input.inc, true, input.preReleaseIdentifier)
     : input[versionKey].version
+  const version = buildMetadata
+    ? `${coreVersion}+${buildMetadata}`
+    : coreVersion
 
   const prereleaseVersion = semver.prerelease(version)?.join('.') || ''
 
@@ -18,10 +37,20 @@ const splitSemVersion = (input, versionKey = 'version') => {
     $MINOR: semver.minor(version),
     $PATCH: semver.patch(version),
     $PRERELEASE: prereleaseVersion ? `-${prereleaseVersion}` : '',
+    $BUILD: buildMetadata ? `+${buildMetadata}` : '',
     $COMPLETE: version,
   }
 }
 
+// Templatable version of a parsed version used as is, e.g. a prerelease input version
+const toTemplatableSemVersion = (version, template, inputVersion) =>
+  splitSemVersion({
+    version,
+    template,
+    inputVersion,
+    versionKeyIncrement: null,
+  })
+
 const defaultVersionInfo = {
   $NEXT_MAJOR_VERSION: {
     version: '1.0.0',
@@ -33,6 +62,7 @@ const defaultVersionInfo = {
     $MINOR: 0,
     $PATCH: 0,
     $PRERELEASE: '',
+    $BUILD: '',
   },
   $NEXT_MINOR_VERSION: {
     version: '0.1.0',
@@ -44,6 +74,7 @@ const defaultVersionInfo = {
     $MINOR: 1,
     $PATCH: 0,
     $PRERELEASE: '',
+    $BUILD: '',
   },
   $NEXT_PATCH_VERSION: {
     version: '0.1.0',
@@ -55,6 +86,7 @@ const defaultVersionInfo = {
     $MINOR: 1,
     $PATCH: 0,
     $PRERELEASE: '',
+    $BUILD: '',
   },
   $NEXT_PRERELEASE_VERSION: {
     version: '0.1.0-rc.0',
@@ -67,6 +99,7 @@ const defaultVersionInfo = {
     $MINOR: 1,
     $PATCH: 0,
     $PRERELEASE: '-rc.0',
+    $BUILD: '',
   },
   $INPUT_VERSION: null,
   $RESOLVED_VERSION: {
@@ -79,6 +112,7 @@ const defaultVersionInfo = {
     $MINOR: 1,
     $PATCH: 0,
     $PRERELEASE: '',
+    $BUILD: '',
   },
 }
 
@@ -138,9 +172,13 @@ const getTemplatableVersion = (input) => {
       template: '$PRERELEASE',
     }),
     $INPUT_VERSION: splitSemVersion(input, 'inputVersion'),
+    // A `none` increment keeps the current version: no release is needed
     $RESOLVED_VERSION: splitSemVersion({
       ...input,
-      inc: input.versionKeyIncrement || 'patch',
+      inc:
+        input.versionKeyIncrement === 'none'
+          ? null
+          : input.versionKeyIncrement || 'patch',
     }),
   }
 
@@ -183,6 +221,26 @@ const hasPreReleaseTag = (version) => {
   return prerelease && prerelease.length > 0
 }
 
+// Identifier of a prerelease version, e.g. `rc` for `1.3.0-rc.4`
+const getPreReleaseIdentifier = (version) => {
+  const [identifier] = semver.prerelease(version) || []
+  return typeof identifier === 'string' ? identifier : undefined
+}
+
+/**
+ * Get the stable version a prerelease is promoted to.
+ * @param {Object|string} [release] - The prerelease, or its version
+ * @param {string} [tagPrefix] - The `tag-prefix` of release tags
+ * @returns {string|undefined} - e.g. `1.3.0` for `v1.3.0-rc.4`, or undefined when
+ *   it isn't a prerelease
+ */
+const getPromotedVersion = (release, tagPrefix) => {
+  const version = coerceVersion(release, tagPrefix)
+  if (!hasPreReleaseTag(version)) return
+
+  return `${version.major}.${version.minor}.${version.patch}`
+}
+
 const getVersionInfo = (
   release,
   template,
@@ -209,7 +267,6 @@ const getVersionInfo = (
   }
 
   if (inputVersion && hasPreReleaseTag(inputVersion)) {
-    const prereleaseVersion = semver.prerelease(inputVersion)?.join('.') || ''
     return {
       ...getTemplatableVersion({
         version,
@@ -218,34 +275,40 @@ const getVersionInfo = (
         versionKeyIncrement: null,
         preReleaseIdentifier,
       }),
-      $INPUT_VERSION: {
-        version: inputVersion.version,
-        template,
+      $INPUT_VERSION: toTemplatableSemVersion(
         inputVersion,
-        versionKeyIncrement: null,
-        $MAJOR: semver.major(inputVersion),
-        $MINOR: semver.minor(inputVersion),
-        $PATCH: semver.patch(inputVersion),
-        $PRERELEASE: prereleaseVersion ? `-${prereleaseVersion}` : '',
-        $COMPLETE: inputVersion.version,
-      },
-      $RESOLVED_VERSION: {
-        version: inputVersion.version,
         template,
+        inputVersion
+      ),
+      $RESOLVED_VERSION: toTemplatableSemVersion(
         inputVersion,
-        versionKeyIncrement: null,
-        $MAJOR: semver.major(inputVersion),
-        $MINOR: semver.minor(inputVersion),
-        $PATCH: semver.patch(inputVersion),
-        $PRERELEASE: prereleaseVersion ? `-${prereleaseVersion}` : '',
-        $COMPLETE: inputVersion.version,
-      },
+        template,
+        inputVersion
+      ),
     }
   }
 
-  // If no explicit inputVersion but draftVersion has prerelease tag, preserve it exactly
-  if (!inputVersion && draftVersion && hasPreReleaseTag(draftVersion)) {
-    const prereleaseVersion = semver.prerelease(draftVersion)?.join('.') || ''
+  // A draft of another prerelease channel moves to the configured one, restarting
+  // at .0 (`1.3.0-alpha.3` becomes `1.3.0-beta.0`), and is only used as a floor
+  const isPreReleaseChannelChange =
+    Boolean(preReleaseIdentifier) &&
+    hasPreReleaseTag(draftVersion) &&
+    getPreReleaseIdentifier(draftVersion) !== preReleaseIdentifier
+  if (isPreReleaseChannelChange) {
+    const { major, minor, patch } = draftVersion
+    draftVersion = semver.parse(
+      `${major}.${minor}.${patch}-${preReleaseIdentifier}.0`
+    )
+  }
+
+  // If no explicit inputVersion but draftVersion has prerelease tag of the channel,
+  // preserve it exactly
+  if (
+    !inputVersion &&
+    draftVersion &&
+    hasPreReleaseTag(draftVersion) &&
+    !isPreReleaseChannelChange
+  ) {
     return {
       ...getTemplatableVersion({
         version,
@@ -254,17 +317,11 @@ const getVersionInfo = (
         versionKeyIncrement: null,
         preReleaseIdentifier,
       }),
-      $RESOLVED_VERSION: {
-        version: draftVersion.version,
+      $RESOLVED_VERSION: toTemplatableSemVersion(
+        draftVersion,
         template,
-        inputVersion: draftVersion,
-        versionKeyIncrement: null,
-        $MAJOR: semver.major(draftVersion),
-        $MINOR: semver.minor(draftVersion),
-        $PATCH: semver.patch(draftVersion),
-        $PRERELEASE: prereleaseVersion ? `-${prereleaseVersion}` : '',
-        $COMPLETE: draftVersion.version,
-      },
+        draftVersion
+      ),
     }
   }
 
@@ -294,18 +351,11 @@ const getVersionInfo = (
       semver.gt(draftVersionStr, resolvedVersion)
     ) {
       // Draft version is higher than computed, use draft as floor
-      const prereleaseVersion = semver.prerelease(draftVersion)?.join('.') || ''
-      templatableVersion.$RESOLVED_VERSION = {
-        version: draftVersionStr,
+      templatableVersion.$RESOLVED_VERSION = toTemplatableSemVersion(
+        draftVersion,
         template,
-        inputVersion: draftVersion,
-        versionKeyIncrement: null,
-        $MAJOR: semver.major(draftVersion),
-        $MINOR: semver.minor(draftVersion),
-        $PATCH: semver.patch(draftVersion),
-        $PRERELEASE: prereleaseVersion ? `-${prereleaseVersion}` : '',
-        $COMPLETE: draftVersionStr,
-      }
+        draftVersion
+      )
     }
     // If computed version is higher, keep it (draftVersion acts as floor, not ceiling)
   }
@@ -313,5 +363,104 @@ const getVersionInfo = (
   return templatableVersion
 }
 
+/**
+ * Add variables to every version of a version info, for `version-template`.
+ * @param {Object} versionInfo - Version info, e.g. from getVersionInfo
+ * @param {Object} variables - e.g. `{ $SHORT_SHA: '3f2a1bc' }`
+ * @returns {Object}
+ */
+const addVersionVariables = (versionInfo, variables) =>
+  Object.fromEntries(
+    Object.entries(versionInfo).map(([key, value]) => [
+      key,
+      value && typeof value === 'object' ? { ...value, ...variables } : value,
+    ])
+  )
+
+/**
+ * Turn a resolved version into a snapshot version, a prerelease of the date with the
+ * commit as build metadata, e.g. `1.5.0-nightly.20261019+g3f2a1bc` for `1.5.0`.
+ * @param {Object} resolvedVersion - The `$RESOLVED_VERSION`
+ * @param {Object} options
+ * @param {string} options.identifier - The `snapshot-identifier`, e.g. `nightly`
+ * @param {string} options.date - The date as `YYYYMMDD`
+ * @param {string} [options.shortSha] - Abbreviated SHA of the commit
+ * @returns {Object}
+ */
+const toSnapshotVersion = (resolvedVersion, { identifier, date, shortSha }) => {
+  const coreVersion = resolvedVersion.version.replace(/[+-].*$/, '')
+  const prerelease = `-${identifier}.${date}`
+  const build = shortSha ? `+g${shortSha}` : ''
+  const version = `${coreVersion}${prerelease}${build}`
+  return {
+    ...resolvedVersion,
+    version,
+    $PRERELEASE: prerelease,
+    $BUILD: build,
+    $COMPLETE: version,
+  }
+}
+
+// Version backends of the `versioning-scheme` option, built from the config. Each one
+// parses versions (null when invalid), compares them (throwing for invalid ones) and
+// resolves the version info of a release.
+const VERSION_BACKENDS = {
+  semver: () => ({
+    parse: (version) => semver.parse(version)?.version || null,
+    compare: compareVersions,
+    getVersionInfo: ({
+      release,
+      template,
+      inputVersion,
+      versionKeyIncrement,
+      tagPrefix,
+      preReleaseIdentifier,
+      draftVersion,
+    }) =>
+      getVersionInfo(
+        release,
+        template,
+        inputVersion,
+        versionKeyIncrement,
+        tagPrefix,
+        preReleaseIdentifier,
+        draftVersion
+      ),
+  }),
+  calver: (config) => ({
+    parse: (version) =>
+      parseCalVersion(version, config['calver-format'])
+        ? version.replace(/^v/i, '')
+        : null,
+    compare: (a, b) => compareCalVersions(a, b, config['calver-format']),
+    getVersionInfo: (options) =>
+      getCalVersionInfo({ ...options, format: config['calver-format'] }),
+  }),
+  'four-part': (config) => ({
+    parse: (version) => parseFourPartVersion(version)?.join('.') || null,
+    compare: compareFourPartVersions,
+    getVersionInfo: (options) =>
+      getFourPartVersionInfo({ ...options, bumps: config['four-part-bumps'] }),
+  }),
+}
+
+const VERSIONING_SCHEMES = Object.keys(VERSION_BACKENDS)
+
+/**
+ * Get the version backend of the configured `versioning-scheme`.
+ * @param {Object} [config] - The config, semver when it has no `versioning-scheme`
+ * @returns {Object} - `{ parse, compare, getVersionInfo }`
+ */
+const getVersionBackend = (config = {}) => {
+  const createBackend =
+    VERSION_BACKENDS[config['versioning-scheme']] || VERSION_BACKENDS.semver
+  return createBackend(config)
+}
+
 exports.getVersionInfo = getVersionInfo
+exports.getPromotedVersion = getPromotedVersion
+exports.addVersionVariables = addVersionVariables
+exports.toSnapshotVersion = toSnapshotVersion
+exports.VERSIONING_SCHEMES = VERSIONING_SCHEMES
+exports.getVersionBackend = getVersionBackend
 exports.defaultVersionInfo = defaultVersionInfo
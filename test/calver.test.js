@@ -0,0 +1,155 @@
+const {
+  CALVER_TOKENS,
+  getCalVerFormatError,
+  parseCalVersion,
+  getNextCalVersion,
+  getCalVersionInfo,
+} = require('../lib/calver')
+
+const date = new Date('2026-10-19T12:00:00Z')
+
+describe('CALVER_TOKENS', () => {
+  test.each([
+    ['YYYY', '2026-10-19', '2026'],
+    ['YY', '2026-10-19', '26'],
+    ['0Y', '2006-10-19', '06'],
+    ['MM', '2026-03-19', '3'],
+    ['0M', '2026-03-19', '03'],
+    ['WW', '2026-10-19', '43'],
+    ['0W', '2026-01-05', '02'],
+    ['WW', '2024-12-30', '1'],
+    ['WW', '2027-01-01', '53'],
+    ['DD', '2026-10-05', '5'],
+    ['0D', '2026-10-05', '05'],
+  ])('%s of %s is %s', (token, day, expected) => {
+    expect(CALVER_TOKENS[token](new Date(`${day}T12:00:00Z`))).toBe(expected)
+  })
+})
+
+describe('getCalVerFormatError', () => {
+  test.each([
+    ['YYYY.0M.MICRO', null],
+    ['YY.0W.MICRO', null],
+    ['YYYY.MM.DD.MICRO', null],
+    ['YYYY.MICRO', 'must have at least three segments'],
+    ['YYYY.MM.DD', 'must end with MICRO'],
+    ['YYYY.M.MICRO', expect.stringContaining('unknown segment "M"')],
+  ])('%s', (format, expected) => {
+    expect(getCalVerFormatError(format)).toEqual(expected)
+  })
+})
+
+describe('parseCalVersion', () => {
+  test.each([
+    ['2026.10.3', 'YYYY.0M.MICRO', { period: '2026.10', micro: 3 }],
+    ['v2026.09.0', 'YYYY.0M.MICRO', { period: '2026.09', micro: 0 }],
+    ['26.43.12', 'YY.WW.MICRO', { period: '26.43', micro: 12 }],
+    ['2026.10', 'YYYY.0M.MICRO', null],
+    ['2026.10.3-rc.1', 'YYYY.0M.MICRO', null],
+    ['1.2.3.4', 'YYYY.0M.MICRO', null],
+    [undefined, 'YYYY.0M.MICRO', null],
+  ])('%s with %s', (version, format, expected) => {
+    expect(parseCalVersion(version, format)).toEqual(expected)
+  })
+})
+
+describe('getNextCalVersion', () => {
+  test.each([
+    ['first release', undefined, 'YYYY.MM.MICRO', '2026.10.0'],
+    ['same period', '2026.10.1', 'YYYY.MM.MICRO', '2026.10.2'],
+    ['new period', '2026.9.4', 'YYYY.MM.MICRO', '2026.10.0'],
+    ['zero-padded month', '2026.10.7', 'YYYY.0M.MICRO', '2026.10.8'],
+    ['short year', '26.10.0', 'YY.0M.MICRO', '26.10.1'],
+    ['day period', '2026.10.18.3', 'YYYY.0M.0D.MICRO', '2026.10.19.0'],
+    ['week period', '26.43.1', 'YY.WW.MICRO', '26.43.2'],
+    ['semver last release', '1.4.0', 'YYYY.0M.MICRO', '2026.10.0'],
+  ])('%s', (_, lastVersion, format, expected) => {
+    expect(getNextCalVersion({ lastVersion, format, date })).toBe(expected)
+  })
+})
+
+describe('getCalVersionInfo', () => {
+  const options = {
+    release: { tag_name: 'v2026.10.1' },
+    template: '$MAJOR.$MINOR.$PATCH',
+    format: 'YYYY.0M.MICRO',
+    date,
+  }
+
+  it('resolves the next version', () => {
+    const versionInfo = getCalVersionInfo(options)
+
+    expect(versionInfo.$RESOLVED_VERSION).toEqual(
+      expect.objectContaining({
+        version: '2026.10.2',
+        $MAJOR: '2026',
+        $MINOR: '10',
+        $PATCH: '2',
+        $MICRO: '2',
+        $PRERELEASE: '',
+      })
+    )
+    expect(versionInfo.$NEXT_MINOR_VERSION.version).toBe('2026.10.2')
+    expect(versionInfo.$INPUT_VERSION).toBeNull()
+  })
+
+  it('puts the segments after the second one in $PATCH', () => {
+    const versionInfo = getCalVersionInfo({
+      ...options,
+      release: { tag_name: 'v2026.10.19.0' },
+      format: 'YYYY.0M.0D.MICRO',
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.$PATCH).toBe('19.1')
+    expect(versionInfo.$RESOLVED_VERSION.$MICRO).toBe('1')
+  })
+
+  it('strips the tag prefix of the last release', () => {
+    const versionInfo = getCalVersionInfo({
+      ...options,
+      release: { tag_name: 'app-v2026.10.4' },
+      tagPrefix: 'app-',
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe('2026.10.5')
+  })
+
+  it('falls back to the name of the last release', () => {
+    const versionInfo = getCalVersionInfo({
+      ...options,
+      release: { tag_name: 'latest', name: '2026.10.4' },
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe('2026.10.5')
+  })
+
+  it('uses the input version', () => {
+    const versionInfo = getCalVersionInfo({
+      ...options,
+      inputVersion: 'v2026.10.9',
+    })
+
+    expect(versionInfo.$INPUT_VERSION.version).toBe('2026.10.9')
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe('2026.10.9')
+  })
+
+  it('keeps the draft version when it is ahead', () => {
+    expect(
+      getCalVersionInfo({ ...options, draftVersion: '2026.10.4' })
+        .$RESOLVED_VERSION.version
+    ).toBe('2026.10.4')
+    expect(
+      getCalVersionInfo({ ...options, draftVersion: '2026.09.7' })
+        .$RESOLVED_VERSION.version
+    ).toBe('2026.10.2')
+  })
+
+  it('keeps the last version for a none increment', () => {
+    const versionInfo = getCalVersionInfo({
+      ...options,
+      versionKeyIncrement: 'none',
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe('2026.10.1')
+  })
+})
@@ -0,0 +1,39 @@
+const { loginFromNoreplyEmail, parseCoAuthors } = require('../lib/co-authors')
+
+describe('loginFromNoreplyEmail', () => {
+  test.each([
+    ['123+octocat@users.noreply.github.com', 'octocat'],
+    ['octocat@users.noreply.github.com', 'octocat'],
+    ['49699333+dependabot[bot]@users.noreply.github.com', 'dependabot[bot]'],
+    ['octocat@example.com', null],
+    ['octocat@noreply.github.com', null],
+  ])('%s', (email, expected) => {
+    expect(loginFromNoreplyEmail(email)).toEqual(expected)
+  })
+})
+
+describe('parseCoAuthors', () => {
+  test.each([
+    ['no message', undefined, []],
+    ['no trailers', 'feat: add search', []],
+    [
+      'noreply and other emails',
+      'feat: add search\n\nCo-authored-by: Octo Cat <123+octocat@users.noreply.github.com>\nco-authored-by: Ada Lovelace <ada@example.com>',
+      [
+        {
+          name: 'Octo Cat',
+          email: '123+octocat@users.noreply.github.com',
+          login: 'octocat',
+        },
+        { name: 'Ada Lovelace', email: 'ada@example.com', login: null },
+      ],
+    ],
+    [
+      'trailer without an email',
+      'feat: add search\n\nCo-authored-by: Ada Lovelace',
+      [],
+    ],
+  ])('%s', (_, message, expected) => {
+    expect(parseCoAuthors(message)).toEqual(expected)
+  })
+})
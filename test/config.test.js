@@ -1,3 +1,5 @@
+const mockedEnv = require('mocked-env')
+const core = require('@actions/core')
 const { DEFAULT_CONFIG } = require('../lib/default-config')
 const { getConfig } = require('../lib/config')
 const { SORT_DIRECTIONS } = require('../lib/sort-pull-requests')
@@ -138,4 +140,87 @@ describe('getConfig', () => {
       expect(config['sort-direction']).toBe(SORT_DIRECTIONS.ascending)
     })
   })
+
+  describe('`commit-types` input', () => {
+    let restoreEnvironment
+    let warningSpy
+
+    beforeEach(() => {
+      warningSpy = jest.spyOn(core, 'warning').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      restoreEnvironment()
+      warningSpy.mockRestore()
+    })
+
+    it('overrides the `commit-types` of the config file', async () => {
+      restoreEnvironment = mockedEnv({
+        'INPUT_COMMIT-TYPES': 'security:\n  title: Security\n  bump: patch',
+      })
+      const context = {
+        payload: { repository: { default_branch: 'master' } },
+        config: createGetConfigMock({
+          template: '$CHANGES',
+          'commit-types': { deps: { title: 'Dependencies' } },
+        }),
+        log: { info: jest.fn(), warn: jest.fn() },
+      }
+
+      const config = await getConfig({ context })
+
+      expect(config['commit-types']).toEqual({
+        security: { title: 'Security', bump: 'patch' },
+      })
+      expect(context.log.info).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Applying inline config overrides: commit-types'
+        )
+      )
+    })
+
+    test.each([
+      ['a list', '- security', undefined],
+      ['a scalar', 'security', undefined],
+      [
+        'invalid YAML',
+        'security: [',
+        expect.stringMatching(
+          /^Failed to parse 'commit-types' input as YAML\. This input will be ignored\./
+        ),
+      ],
+    ])('ignores %s', async (_, commitTypes, warning) => {
+      restoreEnvironment = mockedEnv({ 'INPUT_COMMIT-TYPES': commitTypes })
+      const context = {
+        payload: { repository: { default_branch: 'master' } },
+        config: createGetConfigMock({ template: '$CHANGES' }),
+        log: { info: jest.fn(), warn: jest.fn() },
+      }
+
+      const config = await getConfig({ context })
+
+      expect(config['commit-types']).toEqual(DEFAULT_CONFIG['commit-types'])
+      expect(warningSpy.mock.calls).toEqual(warning ? [[warning]] : [])
+    })
+
+    it('counts as inline config without a config file', async () => {
+      restoreEnvironment = mockedEnv({
+        'INPUT_COMMIT-TYPES': 'security:\n  title: Security',
+      })
+      const context = {
+        payload: { repository: { default_branch: 'master' } },
+        config: () => Promise.resolve(null),
+        log: { info: jest.fn(), warn: jest.fn() },
+      }
+
+      const config = await getConfig({ context })
+
+      expect(config['commit-types']).toEqual({
+        security: { title: 'Security' },
+      })
+      expect(context.log.info).not.toHaveBeenCalledWith(
+        expect.stringMatching(/No config file found/)
+      )
+    })
+  })
 })
@@ -0,0 +1,130 @@
+const {
+  parseFourPartVersion,
+  compareFourPartVersions,
+  getFourPartVersionInfo,
+} = require('../lib/four-part-versions')
+
+describe('parseFourPartVersion', () => {
+  test.each([
+    ['1.4.2.37', [1, 4, 2, 37]],
+    ['v1.4.2.37', [1, 4, 2, 37]],
+    ['1.4.2', [1, 4, 2, 0]],
+    ['1.4', [1, 4, 0, 0]],
+    ['1.4.2.37.1', null],
+    ['1.4.2-rc.1', null],
+    ['latest', null],
+    [undefined, null],
+  ])('%s', (version, expected) => {
+    expect(parseFourPartVersion(version)).toEqual(expected)
+  })
+})
+
+describe('compareFourPartVersions', () => {
+  test.each([
+    ['1.4.2.37', '1.4.2.37', 0],
+    ['1.4.2.37', '1.4.2.9', 1],
+    ['1.4.2.37', '1.4.10.0', -1],
+    ['2.0.0.0', '1.99.99.99', 1],
+    ['1.4.2', '1.4.2.0', 0],
+  ])('%s and %s', (a, b, expected) => {
+    expect(Math.sign(compareFourPartVersions(a, b))).toBe(expected)
+  })
+
+  it('throws for versions that are not four-part versions', () => {
+    expect(() => compareFourPartVersions('1.4.2.37', 'latest')).toThrow(
+      'Invalid four-part version comparison'
+    )
+  })
+})
+
+describe('getFourPartVersionInfo', () => {
+  const options = {
+    release: { tag_name: 'v1.4.2.37' },
+    template: '$MAJOR.$MINOR.$PATCH.$BUILD_NUMBER',
+  }
+
+  test.each([
+    ['major', {}, '2.0.0.0'],
+    ['minor', {}, '1.5.0.0'],
+    ['patch', {}, '1.4.3.0'],
+    ['prepatch', {}, '1.4.3.0'],
+    ['none', {}, '1.4.2.37'],
+    ['patch', { patch: 'build' }, '1.4.2.38'],
+    ['minor', { minor: 'patch' }, '1.4.3.0'],
+  ])('resolves a %s bump with %j', (versionKeyIncrement, bumps, expected) => {
+    const versionInfo = getFourPartVersionInfo({
+      ...options,
+      versionKeyIncrement,
+      bumps,
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe(expected)
+  })
+
+  it('exposes the parts and the next versions', () => {
+    const versionInfo = getFourPartVersionInfo({
+      ...options,
+      versionKeyIncrement: 'patch',
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION).toEqual(
+      expect.objectContaining({
+        $MAJOR: 1,
+        $MINOR: 4,
+        $PATCH: 3,
+        $BUILD_NUMBER: 0,
+        $PRERELEASE: '',
+      })
+    )
+    expect(versionInfo.$NEXT_BUILD_VERSION.version).toBe('1.4.2.38')
+    expect(versionInfo.$NEXT_MAJOR_VERSION.version).toBe('2.0.0.0')
+    expect(versionInfo.$NEXT_MINOR_VERSION_BUILD.template).toBe('$BUILD_NUMBER')
+    expect(versionInfo.$INPUT_VERSION).toBeNull()
+  })
+
+  it('starts at 0.1.0.0 without a last release', () => {
+    const versionInfo = getFourPartVersionInfo({
+      template: options.template,
+      versionKeyIncrement: 'patch',
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe('0.1.0.0')
+    expect(versionInfo.$NEXT_MAJOR_VERSION.version).toBe('1.0.0.0')
+  })
+
+  it('strips the tag prefix of the last release', () => {
+    const versionInfo = getFourPartVersionInfo({
+      ...options,
+      release: { tag_name: 'installer-1.4.2.37' },
+      tagPrefix: 'installer-',
+      versionKeyIncrement: 'patch',
+      bumps: { patch: 'build' },
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe('1.4.2.38')
+  })
+
+  it('uses the input version', () => {
+    const versionInfo = getFourPartVersionInfo({
+      ...options,
+      inputVersion: 'v1.6.0.1',
+      versionKeyIncrement: 'patch',
+    })
+
+    expect(versionInfo.$INPUT_VERSION.version).toBe('1.6.0.1')
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe('1.6.0.1')
+  })
+
+  test.each([
+    ['keeps a draft version ahead', '1.5.0.0', '1.5.0.0'],
+    ['ignores a draft version behind', '1.4.2.40', '1.4.3.0'],
+  ])('%s', (_, draftVersion, expected) => {
+    const versionInfo = getFourPartVersionInfo({
+      ...options,
+      versionKeyIncrement: 'patch',
+      draftVersion,
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toBe(expected)
+  })
+})
@@ -0,0 +1,82 @@
+const { GITMOJI_TYPES, matchGitmojiHeader } = require('../lib/gitmoji')
+
+describe('matchGitmojiHeader', () => {
+  test.each([
+    [
+      '✨ add search',
+      {
+        type: 'feat',
+        scope: undefined,
+        breaking: false,
+        description: 'add search',
+      },
+    ],
+    [
+      ':sparkles: add search',
+      {
+        type: 'feat',
+        scope: undefined,
+        breaking: false,
+        description: 'add search',
+      },
+    ],
+    [
+      '🐛 (api): fix crash (#12)',
+      {
+        type: 'fix',
+        scope: 'api',
+        breaking: false,
+        description: 'fix crash',
+        prNumber: '12',
+      },
+    ],
+    [
+      ':boom: drop node 16',
+      {
+        type: 'feat',
+        scope: undefined,
+        breaking: true,
+        description: 'drop node 16',
+      },
+    ],
+    [
+      '♻ simplify parser',
+      {
+        type: 'refactor',
+        scope: undefined,
+        breaking: false,
+        description: 'simplify parser',
+      },
+    ],
+    [
+      '⚡️ cache lookups',
+      {
+        type: 'perf',
+        scope: undefined,
+        breaking: false,
+        description: 'cache lookups',
+      },
+    ],
+  ])('%p', (line, expected) => {
+    expect(matchGitmojiHeader(line)).toMatchObject(expected)
+  })
+
+  test.each([
+    'feat: add search',
+    'Add search',
+    ':unknown: add search',
+    '🦄 add search',
+    '- add search',
+    '✨',
+  ])('ignores %p', (line) => {
+    expect(matchGitmojiHeader(line)).toBeNull()
+  })
+})
+
+describe('GITMOJI_TYPES', () => {
+  test('every gitmoji has a unique emoji', () => {
+    const emojis = Object.values(GITMOJI_TYPES).map(({ emoji }) => emoji)
+
+    expect(new Set(emojis).size).toEqual(emojis.length)
+  })
+})
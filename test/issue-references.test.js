@@ -0,0 +1,158 @@
+const {
+  extractIssueReferences,
+  getClosingIssueReferences,
+  toShortIssueKey,
+  uniqueIssueReferences,
+  renderIssueReferences,
+} = require('../lib/issue-references')
+
+const issueTrackers = [
+  {
+    keys: ['PLAT', 'OPS'],
+    'link-template': 'https://jira.example.com/browse/$KEY',
+  },
+  { keys: ['LIN'], 'link-template': 'https://linear.app/acme/issue/$KEY' },
+]
+
+describe('extractIssueReferences', () => {
+  test.each([
+    ['no references', 'feat: add search', []],
+    ['empty text', '', []],
+    [
+      'keyword reference',
+      'fix: crash\n\nFixes #12',
+      [{ key: '#12', url: null }],
+    ],
+    [
+      'keyword reference as a footer',
+      'fix: crash\n\nRefs: #7',
+      [{ key: '#7', url: null }],
+    ],
+    [
+      'cross-repository reference',
+      'fix: crash\n\nCloses octocat/other-repo#3',
+      [{ key: 'octocat/other-repo#3', url: null }],
+    ],
+    ['bare number is not a reference', 'fix: handle #12 entries', []],
+    [
+      'several keywords, deduplicated',
+      'fix: crash\n\nFixes #12, resolves #13\nCloses #12',
+      [
+        { key: '#12', url: null },
+        { key: '#13', url: null },
+      ],
+    ],
+    [
+      'references in order of appearance',
+      'fix: crash\n\nRefs: PLAT-1\nFixes #12',
+      [
+        { key: 'PLAT-1', url: 'https://jira.example.com/browse/PLAT-1' },
+        { key: '#12', url: null },
+      ],
+    ],
+    [
+      'tracker keys are linked',
+      'fix: crash\n\nRefs: PLAT-881, LIN-4',
+      [
+        { key: 'PLAT-881', url: 'https://jira.example.com/browse/PLAT-881' },
+        { key: 'LIN-4', url: 'https://linear.app/acme/issue/LIN-4' },
+      ],
+    ],
+    [
+      'second key of a tracker',
+      'OPS-2: restart workers',
+      [{ key: 'OPS-2', url: 'https://jira.example.com/browse/OPS-2' }],
+    ],
+    ['unknown keys are ignored', 'fix: crash\n\nRefs: WEB-1, XPLAT-2', []],
+  ])('%s', (_, text, expected) => {
+    expect(extractIssueReferences(text, issueTrackers)).toEqual(expected)
+  })
+
+  test('ignores tracker keys without issue-trackers', () => {
+    expect(extractIssueReferences('fix: crash\n\nRefs: PLAT-881')).toEqual([])
+  })
+})
+
+describe('getClosingIssueReferences', () => {
+  test.each([
+    ['no pull request', undefined, []],
+    ['no closing issues', { number: 1 }, []],
+    [
+      'issues of the repository and of other repositories',
+      {
+        baseRepository: { nameWithOwner: 'octocat/repo' },
+        closingIssuesReferences: {
+          nodes: [
+            {
+              number: 12,
+              url: 'https://github.com/octocat/repo/issues/12',
+              repository: { nameWithOwner: 'octocat/repo' },
+            },
+            {
+              number: 3,
+              url: 'https://github.com/octocat/other-repo/issues/3',
+              repository: { nameWithOwner: 'octocat/other-repo' },
+            },
+          ],
+        },
+      },
+      [
+        { key: '#12', url: 'https://github.com/octocat/repo/issues/12' },
+        {
+          key: 'octocat/other-repo#3',
+          url: 'https://github.com/octocat/other-repo/issues/3',
+        },
+      ],
+    ],
+  ])('%s', (_, pr, expected) => {
+    expect(getClosingIssueReferences(pr)).toEqual(expected)
+  })
+})
+
+describe('toShortIssueKey', () => {
+  test.each([
+    ['octocat/repo#12', 'octocat/repo', '#12'],
+    ['Octocat/Repo#12', 'octocat/repo', '#12'],
+    ['octocat/other-repo#3', 'octocat/repo', 'octocat/other-repo#3'],
+    ['octocat/repo#12', undefined, 'octocat/repo#12'],
+    ['PLAT-881', 'octocat/repo', 'PLAT-881'],
+  ])('%s in %s', (key, nameWithOwner, expected) => {
+    expect(toShortIssueKey(key, nameWithOwner)).toEqual(expected)
+  })
+})
+
+describe('uniqueIssueReferences', () => {
+  test('keeps the first reference of each key, ignoring case', () => {
+    expect(
+      uniqueIssueReferences([
+        { key: 'PLAT-1', url: 'https://a' },
+        { key: '#2', url: null },
+        { key: 'plat-1', url: 'https://b' },
+      ])
+    ).toEqual([
+      { key: 'PLAT-1', url: 'https://a' },
+      { key: '#2', url: null },
+    ])
+  })
+})
+
+describe('renderIssueReferences', () => {
+  test.each([
+    ['no references', [], ''],
+    [
+      'GitHub references are left for GitHub to link',
+      [
+        { key: '#12', url: 'https://github.com/octocat/repo/issues/12' },
+        { key: 'octocat/other-repo#3', url: null },
+      ],
+      '#12, octocat/other-repo#3',
+    ],
+    [
+      'tracker references are Markdown links',
+      [{ key: 'PLAT-881', url: 'https://jira.example.com/browse/PLAT-881' }],
+      '[PLAT-881](https://jira.example.com/browse/PLAT-881)',
+    ],
+  ])('%s', (_, references, expected) => {
+    expect(renderIssueReferences(references)).toEqual(expected)
+  })
+})
@@ -1,5 +1,11 @@
-const { generateChangeLog, findReleases } = require('../lib/releases')
+const {
+  generateChangeLog,
+  findReleases,
+  contributorsSentence,
+  generateReleaseInfo,
+} = require('../lib/releases')
 const { DEFAULT_CONFIG } = require('../lib/default-config')
+const { getVersionBackend } = require('../lib/versions')
 
 // Helper to create commits with semantic messages and associated PRs
 const createCommit = (message, prNumber, author = null, commitSha = null) => ({
@@ -17,6 +23,16 @@ const createCommit = (message, prNumber, author = null, commitSha = null) => ({
   },
 })
 
+// Helper to create commits with a commit author
+const createAuthoredCommit = (message, login, email) => ({
+  message,
+  author: {
+    name: login || 'Local Author',
+    email,
+    user: login ? { login } : null,
+  },
+})
+
 // Commits with semantic messages for testing
 const commits = [
   createCommit('fix: A1', 1),
@@ -145,6 +161,366 @@ describe('releases', () => {
     })
   })
 
+  describe('contributorsSentence', () => {
+    test.each([
+      [
+        'noreply co-author',
+        [
+          createAuthoredCommit(
+            'feat: add search\n\nCo-authored-by: Octo Cat <1+octocat@users.noreply.github.com>',
+            'jetersen'
+          ),
+        ],
+        [],
+        '@jetersen and @octocat',
+      ],
+      [
+        'co-author resolved from a commit author email',
+        [
+          createAuthoredCommit(
+            'feat: add search\n\nCo-authored-by: Jane Doe <jane@example.com>',
+            'jetersen'
+          ),
+          createAuthoredCommit('fix: crash', 'janedoe', 'Jane@Example.com'),
+        ],
+        [],
+        '@janedoe and @jetersen',
+      ],
+      [
+        'co-author without a login',
+        [
+          createAuthoredCommit(
+            'feat: add search\n\nCo-authored-by: Ada Lovelace <ada@example.com>',
+            null
+          ),
+        ],
+        [],
+        'Ada Lovelace and Local Author',
+      ],
+      [
+        'bot co-author',
+        [
+          createAuthoredCommit(
+            'chore: bump deps\n\nCo-authored-by: dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>',
+            'jetersen'
+          ),
+        ],
+        [],
+        '@jetersen and [dependabot[bot]](https://github.com/apps/dependabot)',
+      ],
+      [
+        'excluded co-authors',
+        [
+          createAuthoredCommit(
+            'feat: add search\n\nCo-authored-by: Octo Cat <1+octocat@users.noreply.github.com>\nCo-authored-by: Ada Lovelace <ada@example.com>\nCo-authored-by: dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>',
+            'jetersen'
+          ),
+        ],
+        ['octocat', 'Ada Lovelace', 'dependabot'],
+        '@jetersen',
+      ],
+    ])('%s', (_, commits, excludeContributors, expected) => {
+      expect(
+        contributorsSentence({
+          commits,
+          pullRequests: [],
+          config: {
+            ...DEFAULT_CONFIG,
+            'exclude-contributors': excludeContributors,
+          },
+        })
+      ).toEqual(expected)
+    })
+  })
+
+  describe('generateReleaseInfo with excluded changes', () => {
+    const context = {
+      repo: () => ({ owner: 'test', repo: 'repo' }),
+      log: { info: jest.fn() },
+    }
+    const excludedFeatureCommits = [
+      createCommit('feat(deps): support lodash 5', 1),
+      createCommit('fix: handle timeouts', 2),
+    ].map((commit) => ({ ...commit, author: { user: { login: 'ghost' } } }))
+
+    test.each([
+      ['excluded changes bump the version by default', true, '1.1.0'],
+      ['excluded changes do not bump the version', false, '1.0.1'],
+    ])('%s', (_, bumpExcludedChanges, expected) => {
+      const releaseInfo = generateReleaseInfo({
+        context,
+        commits: excludedFeatureCommits,
+        config: {
+          ...DEFAULT_CONFIG,
+          template: '$CHANGES',
+          'exclude-scopes': ['deps'],
+          'bump-excluded-changes': bumpExcludedChanges,
+        },
+        lastRelease: { tag_name: 'v1.0.0' },
+        mergedPullRequests: [],
+        isPreRelease: false,
+        latest: 'true',
+        shouldDraft: true,
+        targetCommitish: 'refs/heads/master',
+      })
+
+      expect(releaseInfo.resolvedVersion).toEqual(expected)
+      expect(releaseInfo.body).not.toContain('lodash')
+    })
+  })
+
+  describe('generateReleaseInfo with per-type bumps', () => {
+    const context = {
+      repo: () => ({ owner: 'test', repo: 'repo' }),
+      log: { info: jest.fn() },
+    }
+
+    test.each([
+      ['docs-only range needs no release', ['docs: readme'], '1.0.0', false],
+      [
+        'non-semantic range needs no release with default: none',
+        ['Merge branch main'],
+        '1.0.0',
+        false,
+      ],
+      ['raised type bump', ['docs: readme', 'perf: cache'], '1.1.0', true],
+      ['unchanged type bump', ['fix: crash'], '1.0.1', true],
+    ])('%s', (_, messages, expected, shouldRelease) => {
+      const releaseInfo = generateReleaseInfo({
+        context,
+        commits: messages
+          .map((message, index) => createCommit(message, index + 1))
+          .map((commit) => ({
+            ...commit,
+            author: { user: { login: 'ghost' } },
+          })),
+        config: {
+          ...DEFAULT_CONFIG,
+          template: '$CHANGES',
+          'version-resolver': {
+            ...DEFAULT_CONFIG['version-resolver'],
+            docs: 'none',
+            perf: 'minor',
+            default: 'none',
+          },
+        },
+        lastRelease: { tag_name: 'v1.0.0' },
+        mergedPullRequests: [],
+        isPreRelease: false,
+        latest: 'true',
+        shouldDraft: true,
+        targetCommitish: 'refs/heads/master',
+      })
+
+      expect(releaseInfo.resolvedVersion).toEqual(expected)
+      expect(releaseInfo.shouldRelease).toBe(shouldRelease)
+    })
+
+    it('releases a none bump with an explicit version', () => {
+      const releaseInfo = generateReleaseInfo({
+        context,
+        commits: [
+          {
+            ...createCommit('docs: readme', 1),
+            author: { user: { login: 'ghost' } },
+          },
+        ],
+        config: {
+          ...DEFAULT_CONFIG,
+          template: '$CHANGES',
+          'version-resolver': {
+            ...DEFAULT_CONFIG['version-resolver'],
+            docs: 'none',
+          },
+        },
+        lastRelease: { tag_name: 'v1.0.0' },
+        mergedPullRequests: [],
+        overrideVersion: '1.0.1',
+        isPreRelease: false,
+        latest: 'true',
+        shouldDraft: true,
+        targetCommitish: 'refs/heads/master',
+      })
+
+      expect(releaseInfo.resolvedVersion).toEqual('1.0.1')
+      expect(releaseInfo.shouldRelease).toBe(true)
+    })
+
+    it('needs no release for a change and its revert', () => {
+      const releaseInfo = generateReleaseInfo({
+        context,
+        commits: ['revert: feat: add search', 'feat: add search'].map(
+          (message, index) => ({
+            ...createCommit(message, index + 1),
+            author: { user: { login: 'ghost' } },
+          })
+        ),
+        config: { ...DEFAULT_CONFIG, template: '$CHANGES' },
+        lastRelease: { tag_name: 'v1.0.0' },
+        mergedPullRequests: [],
+        isPreRelease: false,
+        latest: 'true',
+        shouldDraft: true,
+        targetCommitish: 'refs/heads/master',
+      })
+
+      expect(releaseInfo.resolvedVersion).toEqual('1.0.0')
+      expect(releaseInfo.shouldRelease).toBe(false)
+    })
+  })
+
+  describe('generateReleaseInfo with calendar versioning', () => {
+    const context = {
+      repo: () => ({ owner: 'test', repo: 'repo' }),
+      log: { info: jest.fn() },
+    }
+
+    beforeEach(() => {
+      jest
+        .useFakeTimers({ doNotFake: ['performance'] })
+        .setSystemTime(new Date('2026-10-19T12:00:00Z'))
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    test.each([
+      ['same month', 'v2026.10.1', '2026.10.2', 'v2026.10.2'],
+      ['new month', 'v2026.09.4', '2026.10.0', 'v2026.10.0'],
+      ['first calendar version', 'v1.4.0', '2026.10.0', 'v2026.10.0'],
+    ])('%s', (_, lastTag, expectedVersion, expectedTag) => {
+      const releaseInfo = generateReleaseInfo({
+        context,
+        commits: [
+          {
+            ...createCommit('feat: add search', 1),
+            author: { user: { login: 'ghost' } },
+          },
+        ],
+        config: {
+          ...DEFAULT_CONFIG,
+          template: '$CHANGES',
+          'versioning-scheme': 'calver',
+        },
+        lastRelease: { tag_name: lastTag },
+        mergedPullRequests: [],
+        isPreRelease: false,
+        latest: 'true',
+        shouldDraft: true,
+        targetCommitish: 'refs/heads/master',
+      })
+
+      expect(releaseInfo.resolvedVersion).toEqual(expectedVersion)
+      expect(releaseInfo.tag).toEqual(expectedTag)
+    })
+  })
+
+  describe('generateReleaseInfo with four-part versions', () => {
+    const context = {
+      repo: () => ({ owner: 'test', repo: 'repo' }),
+      log: { info: jest.fn() },
+    }
+
+    test.each([
+      ['fix', 'fix: crash', {}, '1.4.3.0', 3, 0],
+      ['fix as a build', 'fix: crash', { patch: 'build' }, '1.4.2.38', 2, 38],
+      ['feature', 'feat: add search', {}, '1.5.0.0', 0, 0],
+    ])('%s', (_, message, bumps, expected, patchVersion, buildVersion) => {
+      const releaseInfo = generateReleaseInfo({
+        context,
+        commits: [
+          {
+            ...createCommit(message, 1),
+            author: { user: { login: 'ghost' } },
+          },
+        ],
+        config: {
+          ...DEFAULT_CONFIG,
+          template: '$CHANGES',
+          'version-template': '$MAJOR.$MINOR.$PATCH.$BUILD_NUMBER',
+          'versioning-scheme': 'four-part',
+          'four-part-bumps': { ...DEFAULT_CONFIG['four-part-bumps'], ...bumps },
+        },
+        lastRelease: { tag_name: 'v1.4.2.37' },
+        mergedPullRequests: [],
+        isPreRelease: false,
+        latest: 'true',
+        shouldDraft: true,
+        targetCommitish: 'refs/heads/master',
+      })
+
+      expect(releaseInfo).toEqual(
+        expect.objectContaining({
+          resolvedVersion: expected,
+          tag: `v${expected}`,
+          patchVersion,
+          buildVersion,
+        })
+      )
+    })
+  })
+
+  describe('generateReleaseInfo with snapshot versions', () => {
+    const context = {
+      repo: () => ({ owner: 'test', repo: 'repo' }),
+      log: { info: jest.fn() },
+    }
+
+    beforeEach(() => {
+      jest
+        .useFakeTimers({ doNotFake: ['performance'] })
+        .setSystemTime(new Date('2026-10-19T12:00:00Z'))
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    // The newest commit of the notes isn't the commit being built, e.g. with
+    // `include-paths`
+    const featureCommit = {
+      ...createCommit('feat: add search', 1, null, 'a9c4e07d8e7f6a51'),
+      author: { user: { login: 'ghost' } },
+    }
+
+    test.each([
+      [
+        'resolves a snapshot version',
+        [featureCommit],
+        { snapshot: true, 'snapshot-identifier': 'nightly' },
+        '1.5.0-nightly.20261019+g3f2a1bc',
+      ],
+      [
+        'resolves a snapshot version without commits since the last release',
+        [],
+        { snapshot: true },
+        '1.4.3-snapshot.20261019+g3f2a1bc',
+      ],
+      [
+        'templates the date and commit of the build',
+        [featureCommit],
+        { 'version-template': '$MAJOR.$MINOR.$PATCH-dev.$DATE.$SHORT_SHA' },
+        '1.5.0-dev.20261019.3f2a1bc',
+      ],
+    ])('%s', (_, commits, config, expected) => {
+      const releaseInfo = generateReleaseInfo({
+        context,
+        commits,
+        config: { ...DEFAULT_CONFIG, template: '$CHANGES', ...config },
+        lastRelease: { tag_name: 'v1.4.2' },
+        mergedPullRequests: [],
+        isPreRelease: false,
+        latest: 'true',
+        shouldDraft: true,
+        targetCommitish: 'refs/heads/master',
+        targetSha: '3f2a1bc9d8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a3',
+      })
+
+      expect(releaseInfo.tag).toEqual(`v${expected}`)
+    })
+  })
+
   describe('findReleases', () => {
     it('should retrieve last release respecting semver, stripped prefix', async () => {
       const paginate = jest.fn().mockResolvedValue([
@@ -197,6 +573,56 @@ describe('releases', () => {
       log: { info: jest.fn(), warn: jest.fn() },
     }
 
+    it('should return last release respecting four-part versions', async () => {
+      paginateMock.mockResolvedValueOnce([
+        { tag_name: 'v1.4.2.37', draft: false, prerelease: false },
+        { tag_name: 'v1.4.2.9', draft: false, prerelease: false },
+        { tag_name: 'v1.4.2.100', draft: false, prerelease: false },
+      ])
+
+      const { lastRelease } = await findReleases({
+        context,
+        targetCommitish: 'refs/heads/master',
+        tagPrefix: '',
+        versionBackend: getVersionBackend({ 'versioning-scheme': 'four-part' }),
+      })
+
+      expect(lastRelease.tag_name).toEqual('v1.4.2.100')
+    })
+
+    test.each([
+      [
+        'a prerelease after the last release',
+        ['v1.0.0', 'v1.1.0-rc.2', 'v1.1.0-rc.10'],
+        'v1.1.0-rc.10',
+      ],
+      [
+        'no prerelease after the last release',
+        ['v1.1.0-rc.2', 'v1.1.0'],
+        undefined,
+      ],
+    ])(
+      'should return the last prerelease with %s',
+      async (_, tags, expected) => {
+        paginateMock.mockResolvedValueOnce(
+          tags.map((tag_name) => ({
+            tag_name,
+            draft: false,
+            prerelease: tag_name.includes('-'),
+          }))
+        )
+
+        const { lastRelease, lastPreRelease } = await findReleases({
+          context,
+          targetCommitish: 'refs/heads/master',
+          tagPrefix: '',
+        })
+
+        expect(lastPreRelease?.tag_name).toEqual(expected)
+        expect(lastRelease.prerelease).toBe(false)
+      }
+    )
+
     it('should return last release without draft and prerelease', async () => {
       paginateMock.mockResolvedValueOnce([
         { tag_name: 'v1.0.0', draft: true, prerelease: false },
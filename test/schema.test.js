@@ -21,6 +21,113 @@ const validConfigs = [
   [{ template, footer: 'I am on bottm' }],
   [{ template, header: 'I am on top', footer: 'I am on bottm' }],
   [{ template, 'pull-request-limit': 49 }],
+  [{ template, 'commit-types': { security: { title: 'Security' } } }],
+  [{ template, 'commit-types': { deps: { bump: 'minor' } } }],
+  [{ template, 'breaking-description-template': '' }],
+  [{ template, 'reverted-changes': 'collapse' }],
+  [{ template, 'parse-list-items': true }],
+  [{ template, 'type-aliases': { feature: 'feat', bugfix: 'fix' } }],
+  [{ template, 'non-semantic-commits': 'include' }],
+  [{ template, 'versioning-scheme': 'calver' }],
+  [
+    {
+      template,
+      'versioning-scheme': 'four-part',
+      'four-part-bumps': { patch: 'build' },
+    },
+  ],
+  [{ template, 'versioning-scheme': 'calver', 'calver-format': 'YY.0W.MICRO' }],
+  [{ template, snapshot: true, 'snapshot-identifier': 'nightly' }],
+  [{ template, 'version-source': 'packages/app/pyproject.toml' }],
+  [{ template, 'non-semantic-commits': 'fail' }],
+  [{ template, 'change-source': 'pull-request' }],
+  [{ template, 'change-source': 'auto' }],
+  [{ template, 'duplicate-changes': 'merge' }],
+  [
+    {
+      template,
+      'version-resolver': { perf: 'minor', docs: 'none', default: 'none' },
+    },
+  ],
+  [
+    {
+      template,
+      'version-resolver': {
+        rules: [
+          {
+            'commit-types': 'feat',
+            'commit-scopes': 'internal',
+            bump: 'patch',
+          },
+        ],
+      },
+    },
+    {
+      template,
+      'version-resolver': {
+        rules: [
+          {
+            'commit-types': ['feat'],
+            'commit-scopes': ['internal'],
+            bump: 'patch',
+          },
+        ],
+      },
+    },
+  ],
+  [
+    {
+      template,
+      'title-processors': [
+        'trim-ticket-prefix',
+        { 'capitalize-acronyms': ['gRPC'] },
+      ],
+    },
+  ],
+  [
+    { template, 'title-processors': 'none' },
+    { template, 'title-processors': ['none'] },
+  ],
+  [
+    {
+      template,
+      'scope-template': '#### $SCOPE',
+      categories: [{ title: 'Features', 'group-by': 'scope' }],
+    },
+  ],
+  [
+    {
+      template,
+      'exclude-types': ['ci'],
+      'exclude-scopes': ['deps', 'docs/*'],
+      'exclude-descriptions': ['^bump version'],
+      'bump-excluded-changes': false,
+    },
+  ],
+  [{ template, 'commit-convention': 'gitmoji' }],
+  [{ template, 'commit-convention': 'eslint' }],
+  [{ template, 'changelog-trailers': { skip: 'No-Changelog', type: '' } }],
+  [{ template, 'commit-pattern': '^(?<type>\\w+) - (?<description>.+)$' }],
+  [
+    {
+      template,
+      'issue-trackers': [
+        {
+          keys: 'PLAT',
+          'link-template': 'https://jira.example.com/browse/$KEY',
+        },
+      ],
+    },
+    {
+      template,
+      'issue-trackers': [
+        {
+          keys: ['PLAT'],
+          'link-template': 'https://jira.example.com/browse/$KEY',
+        },
+      ],
+    },
+  ],
 ]
 
 const invalidConfigs = [
@@ -55,6 +162,83 @@ const invalidConfigs = [
   [{ replacers: [{ search: '123', replace: 123 }] }, 'must be a string'],
   [{ commitish: false }, 'must be a string'],
   [{ 'pull-request-limit': 'forty nine' }, 'must be a number'],
+  [{ 'commit-types': ['security'] }, 'must be of type object'],
+  [
+    { 'commit-types': { security: { bump: 'huge' } } },
+    'must be one of [major, minor, patch]',
+  ],
+  [{ 'commit-types': { security: { title: 1 } } }, 'must be a string'],
+  [{ 'breaking-description-template': null }, 'must be a string'],
+  [{ 'reverted-changes': 'show' }, 'must be one of [hide, collapse]'],
+  [{ 'parse-list-items': 'sometimes' }, 'must be a boolean'],
+  [{ 'duplicate-changes': 'all' }, 'must be one of [keep, first, last, merge]'],
+  [
+    { 'version-resolver': { rules: [{ bump: 'patch' }] } },
+    'must contain at least one of [commit-types, commit-scopes]',
+  ],
+  [
+    { 'version-resolver': { rules: [{ 'commit-types': ['feat'] }] } },
+    '"version-resolver.rules[0].bump" is required',
+  ],
+  [
+    { 'version-resolver': { docs: 'skip' } },
+    '"version-resolver.docs" must be one of [major, minor, patch, none]',
+  ],
+  [
+    { 'title-processors': ['title-case'] },
+    '"title-processors[0]" does not match any of the allowed types',
+  ],
+  [
+    { categories: [{ title: 'Features', 'group-by': 'type' }] },
+    'must be [scope]',
+  ],
+  [{ 'exclude-types': 'ci' }, 'must be an array'],
+  [
+    { 'versioning-scheme': 'date' },
+    'must be one of [semver, calver, four-part]',
+  ],
+  [
+    { 'four-part-bumps': { patch: 'revision' } },
+    '"four-part-bumps.patch" must be one of [major, minor, patch, build]',
+  ],
+  [
+    { 'snapshot-identifier': 'nightly build' },
+    '"snapshot-identifier" with value "nightly build" fails to match the required pattern',
+  ],
+  [{ 'version-source': 42 }, '"version-source" must be a string'],
+  [{ 'calver-format': 'YYYY.MICRO' }, 'must have at least three segments'],
+  [{ 'calver-format': 'YYYY.MM.DD' }, '"calver-format" must end with MICRO'],
+  [{ 'calver-format': 'YYYY.M.MICRO' }, 'has an unknown segment "M"'],
+  [
+    { 'exclude-descriptions': ['(bump'] },
+    '"exclude-descriptions[0]" is not a valid regex',
+  ],
+  [{ 'bump-excluded-changes': 'sometimes' }, 'must be a boolean'],
+  [
+    { 'commit-convention': 'commitlint' },
+    'must be one of [conventional, conventionalcommits, angular, eslint, gitmoji]',
+  ],
+  [{ 'commit-pattern': '(?<type>' }, '"commit-pattern" is not a valid regex'],
+  [
+    { 'commit-pattern': '^(?<type>\\w+): (.+)$' },
+    '"commit-pattern" must capture the "description" named group',
+  ],
+  [{ 'changelog-trailers': { skip: 1 } }, 'must be a string'],
+  [{ 'change-source': 'title' }, 'must be one of [commit, pull-request, auto]'],
+  [{ 'type-aliases': { feature: 1 } }, 'must be a string'],
+  [
+    { 'issue-trackers': [{ keys: ['PLAT'] }] },
+    '"issue-trackers[0].link-template" is required',
+  ],
+  [
+    { 'issue-trackers': [{ keys: ['plat'], 'link-template': '$KEY' }] },
+    'fails to match the required pattern',
+  ],
+  [{ 'type-aliases': { 'new feature': 'feat' } }, 'is not allowed'],
+  [
+    { 'non-semantic-commits': 'other' },
+    'must be one of [ignore, include, fail]',
+  ],
 ]
 
 describe('schema', () => {
@@ -131,5 +315,56 @@ describe('schema', () => {
       expect(otherChanges['collapse-after']).toBe(0)
       expect(otherChanges['commit-types']).toEqual([])
     })
+
+    it('Custom commit types get their own default category', () => {
+      const result = validateSchema(context, {
+        template,
+        'commit-types': {
+          security: { title: '🔒 Security' },
+          perf: { bump: 'minor' },
+        },
+      })
+      const securityCategory = result.categories.find((c) =>
+        c['commit-types'].includes('security')
+      )
+      expect(securityCategory.title).toEqual('🔒 Security')
+      // Built-in types are already covered by a default category
+      expect(
+        result.categories.filter((c) => c['commit-types'].includes('perf'))
+      ).toHaveLength(1)
+    })
+
+    it('Custom commit types do not add categories to user-provided ones', () => {
+      const result = validateSchema(context, {
+        template,
+        'commit-types': { security: { title: 'Security' } },
+        categories: [{ title: 'Features', 'commit-types': ['feat'] }],
+      })
+      expect(result.categories).toHaveLength(1)
+    })
+
+    test.each([
+      ['semver', undefined, '$MAJOR.$MINOR.$PATCH$PRERELEASE$BUILD'],
+      [
+        'four-part',
+        undefined,
+        '$MAJOR.$MINOR.$PATCH.$BUILD_NUMBER$PRERELEASE$BUILD',
+      ],
+      [
+        'four-part',
+        '$MAJOR.$MINOR.$BUILD_NUMBER',
+        '$MAJOR.$MINOR.$BUILD_NUMBER',
+      ],
+    ])(
+      'Default version template of %s versions, with %s',
+      (versioningScheme, versionTemplate, expected) => {
+        const result = validateSchema(context, {
+          template,
+          'versioning-scheme': versioningScheme,
+          'version-template': versionTemplate,
+        })
+        expect(result['version-template']).toEqual(expected)
+      }
+    )
   })
 })
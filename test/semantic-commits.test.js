@@ -1,7 +1,20 @@
+const core = require('@actions/core')
 const {
   ReleaseChangeLineItem,
   ReleaseChangeLineItems,
   COMMIT_TYPES,
+  resolveCommitTypes,
+  resolveTypeAliases,
+  parseSemanticCommit,
+  parseCommitFooters,
+  findNonSemanticCommits,
+  splitScopes,
+  matchesScopePattern,
+  isExcludedChange,
+  groupItemsByScope,
+  resolveItemBump,
+  resolveVersionBumpFromChangeItems,
+  matchesBumpRule,
   TITLE_POST_PROCESSORS,
   applyTitlePostProcessors,
 } = require('../lib/semantic-commits')
@@ -17,6 +30,28 @@ const createMockCommits = (messages) =>
     },
   }))
 
+const createCommit = (oid, message) => ({
+  oid,
+  message,
+  associatedPullRequests: { nodes: [] },
+})
+
+const createPullRequestCommit = (oid, message, number, title) => ({
+  oid,
+  message,
+  associatedPullRequests: {
+    nodes: [{ merged: true, number, title, url: `https://pr/${number}` }],
+  },
+})
+
+const createCommitWithBody = (message, body) => ({
+  oid: 'a1',
+  message,
+  associatedPullRequests: {
+    nodes: [{ merged: true, number: 1, title: 'Search', body }],
+  },
+})
+
 describe('ReleaseChangeLineItem', () => {
   describe('constructor and properties', () => {
     test.each([
@@ -174,6 +209,528 @@ describe('ReleaseChangeLineItems', () => {
     })
   })
 
+  describe('fromCommits with commit-types config', () => {
+    const config = {
+      'commit-types': {
+        security: { title: 'Security', bump: 'patch' },
+        deps: { title: 'Dependencies' },
+        i18n: { title: 'Translations', bump: 'minor' },
+      },
+    }
+
+    test('includes custom commit types', () => {
+      const commits = createMockCommits([
+        'security: patch xss',
+        'deps: bump lodash',
+        'i18n: add french',
+        'unknown: ignored',
+      ])
+      const collection = ReleaseChangeLineItems.fromCommits(commits, config)
+
+      expect(collection.map((item) => item.type)).toEqual([
+        'security',
+        'deps',
+        'i18n',
+      ])
+      expect(collection.map((item) => item.categoryTitle)).toEqual([
+        'Security',
+        'Dependencies',
+        'Translations',
+      ])
+      expect(collection.map((item) => item.bump)).toEqual([
+        'patch',
+        'patch',
+        'minor',
+      ])
+    })
+
+    test('custom bump levels drive the version bump', () => {
+      const commits = createMockCommits(['fix: bug', 'i18n: add french'])
+      const collection = ReleaseChangeLineItems.fromCommits(commits, config)
+
+      expect(collection.resolveVersionBump()).toEqual('minor')
+    })
+
+    test('categorizeByType includes custom commit types', () => {
+      const commits = createMockCommits(['security: patch xss', 'fix: bug'])
+      const collection = ReleaseChangeLineItems.fromCommits(commits, config)
+      const { categories, uncategorized } = collection.categorizeByType()
+
+      expect(categories.security.title).toEqual('Security')
+      expect(categories.security.items.length).toEqual(1)
+      expect(categories.fix.items.length).toEqual(1)
+      expect(uncategorized).toEqual([])
+    })
+  })
+
+  describe('fromCommits with commit-convention config', () => {
+    test('parses gitmoji commits into the matching types', () => {
+      const commits = createMockCommits([
+        '✨ add search',
+        ':bug: (api): fix crash',
+        '💥 drop node 16\n\nBREAKING CHANGE: Node 16 is no longer supported.',
+        'feat: conventional',
+      ])
+      const collection = ReleaseChangeLineItems.fromCommits(commits, {
+        'commit-convention': 'gitmoji',
+      })
+
+      expect(
+        collection.map((item) => [item.type, item.scope, item.breaking])
+      ).toEqual([
+        ['feat', null, false],
+        ['fix', 'api', false],
+        ['feat', null, true],
+      ])
+      expect(collection.items[2].breakingDescription).toEqual(
+        'Node 16 is no longer supported.'
+      )
+      expect(collection.resolveVersionBump()).toEqual('minor')
+    })
+
+    test('categorizes gitmoji commits like conventional ones', () => {
+      const commits = createMockCommits(['✨ add search', '🐛 fix crash'])
+      const collection = ReleaseChangeLineItems.fromCommits(commits, {
+        'commit-convention': 'gitmoji',
+      })
+      const config = {
+        'change-template': '* $TITLE',
+        'category-template': '## $TITLE',
+        categories: [
+          { title: 'Features', 'commit-types': ['feat'] },
+          { title: 'Bug Fixes', 'commit-types': ['fix'] },
+        ],
+      }
+
+      expect(collection.renderWithConfig(config)).toEqual(
+        '## Features\n\n* Add search\n\n## Bug Fixes\n\n* Fix crash'
+      )
+    })
+  })
+
+  describe('fromCommits with type-aliases config', () => {
+    const config = {
+      'type-aliases': { feature: 'feat', bugfix: 'fix', doc: 'docs' },
+    }
+
+    test('normalizes aliases before categorization and bump resolution', () => {
+      const commits = createMockCommits([
+        'Feature: add search',
+        'bugfix(api): handle empty query',
+        'doc: update readme',
+      ])
+      const collection = ReleaseChangeLineItems.fromCommits(commits, config)
+
+      expect(collection.map((item) => item.type)).toEqual([
+        'feat',
+        'fix',
+        'docs',
+      ])
+      expect(collection.map((item) => item.categoryTitle)).toEqual([
+        'Features',
+        'Bug Fixes',
+        'Documentation',
+      ])
+      expect(collection.resolveVersionBump()).toEqual('minor')
+    })
+
+    test('logs the applied aliases', () => {
+      const infoSpy = jest.spyOn(core, 'info').mockImplementation(() => {})
+      const commits = createMockCommits(['feature: add search', 'fix: bug'])
+
+      ReleaseChangeLineItems.fromCommits(commits, config)
+
+      expect(infoSpy).toHaveBeenCalledWith(
+        '  Applied type alias: feature -> feat'
+      )
+      expect(infoSpy).not.toHaveBeenCalledWith(
+        expect.stringContaining('Applied type alias: fix')
+      )
+      infoSpy.mockRestore()
+    })
+
+    test('aliases can target custom commit types', () => {
+      const commits = createMockCommits(['sec: patch xss'])
+      const collection = ReleaseChangeLineItems.fromCommits(commits, {
+        'commit-types': { security: { title: 'Security' } },
+        'type-aliases': { sec: 'security' },
+      })
+
+      expect(collection.map((item) => item.categoryTitle)).toEqual(['Security'])
+    })
+  })
+
+  describe('fromCommits with change-source config', () => {
+    const commits = [
+      createPullRequestCommit(
+        'd4',
+        'Merge pull request #3 from octocat/search\n\nfeat: add search',
+        3,
+        'feat(search): add search'
+      ),
+      createPullRequestCommit(
+        'c3',
+        'fix: handle empty query',
+        3,
+        'feat(search): add search'
+      ),
+      createPullRequestCommit('b2', 'docs: update readme', 2, 'Update readme'),
+      createCommit('a1', 'chore: bump version'),
+    ]
+
+    test.each([
+      [
+        'commit',
+        [
+          ['feat', 'add search', 3],
+          ['fix', 'handle empty query', 3],
+          ['docs', 'update readme', 2],
+          ['chore', 'bump version', null],
+        ],
+      ],
+      [
+        'pull-request',
+        [
+          ['feat', 'add search', 3],
+          ['chore', 'bump version', null],
+        ],
+      ],
+      [
+        'auto',
+        [
+          ['feat', 'add search', 3],
+          ['docs', 'update readme', 2],
+          ['chore', 'bump version', null],
+        ],
+      ],
+    ])('%s', (changeSource, expected) => {
+      const collection = ReleaseChangeLineItems.fromCommits(commits, {
+        'change-source': changeSource,
+      })
+
+      expect(
+        collection.map((item) => [item.type, item.description, item.prNumber])
+      ).toEqual(expected)
+      expect(collection.items[0].scopes).toEqual(
+        changeSource === 'commit' ? [] : ['search']
+      )
+    })
+
+    test('includes a non-semantic pull request title once', () => {
+      const collection = ReleaseChangeLineItems.fromCommits(
+        [
+          createPullRequestCommit('b2', 'Tweak copy', 2, 'Update readme'),
+          createPullRequestCommit('a1', 'Fix link', 2, 'Update readme'),
+        ],
+        { 'change-source': 'pull-request', 'non-semantic-commits': 'include' }
+      )
+
+      expect(collection.map((item) => item.description)).toEqual([
+        'Update readme',
+      ])
+    })
+  })
+
+  describe('dedupe', () => {
+    const commits = [
+      createPullRequestCommit('c3', 'fix(api): Handle empty query', 7, 'Fixes'),
+      createPullRequestCommit(
+        'b2',
+        'fix(api): handle  empty query',
+        7,
+        'Fixes'
+      ),
+      createPullRequestCommit('a1', 'fix(api): handle empty query', 8, 'Fixes'),
+    ]
+
+    test.each([
+      ['keep', [['c3'], ['b2'], ['a1']]],
+      ['first', [['c3'], ['a1']]],
+      ['last', [['b2'], ['a1']]],
+      ['merge', [['c3', 'b2'], ['a1']]],
+    ])('%s', (strategy, expected) => {
+      const collection = ReleaseChangeLineItems.fromCommits(commits, {
+        'duplicate-changes': strategy,
+      })
+
+      expect(collection.map((item) => item.commitShas)).toEqual(expected)
+    })
+
+    test('defaults to keeping the first item', () => {
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+
+      expect(collection.map((item) => item.commitSha)).toEqual(['c3', 'a1'])
+    })
+
+    test('does not merge items without a pull request', () => {
+      const collection = ReleaseChangeLineItems.fromCommits([
+        createCommit('b2', 'chore: bump deps'),
+        createCommit('a1', 'chore: bump deps'),
+      ])
+
+      expect(collection.map((item) => item.commitSha)).toEqual(['b2', 'a1'])
+    })
+
+    test('does not merge items with different types or scopes', () => {
+      const collection = ReleaseChangeLineItems.fromCommits(
+        [
+          createPullRequestCommit('c3', 'fix(api): handle query', 7, 'Fixes'),
+          createPullRequestCommit('b2', 'fix(cli): handle query', 7, 'Fixes'),
+          createPullRequestCommit('a1', 'feat(api): handle query', 7, 'Fixes'),
+        ],
+        { 'duplicate-changes': 'merge' }
+      )
+
+      expect(collection.length).toEqual(3)
+    })
+
+    test('merge combines breaking changes and renders every SHA', () => {
+      const collection = ReleaseChangeLineItems.fromCommits(
+        [
+          createPullRequestCommit(
+            'ccccccc333',
+            'feat: drop node 16\n\nBREAKING CHANGE: Node 16 is no longer supported.',
+            7,
+            'Drop node 16'
+          ),
+          createPullRequestCommit(
+            'bbbbbbb222',
+            'feat: drop node 16',
+            7,
+            'Drop node 16'
+          ),
+        ],
+        { 'duplicate-changes': 'merge' }
+      )
+      const [item] = collection.items
+
+      expect(item.breaking).toBe(true)
+      expect(item.breakingDescription).toEqual(
+        'Node 16 is no longer supported.'
+      )
+      expect(collection.hasBreakingChanges).toBe(true)
+      expect(
+        collection.renderWithConfig({ 'change-template': '* $TITLE $SHA' })
+      ).toEqual('* Drop node 16 ccccccc, bbbbbbb')
+    })
+  })
+
+  describe('fromCommits with reverts', () => {
+    test.each([
+      [
+        'pairs a git revert by SHA',
+        [
+          createCommit(
+            'b2',
+            'Revert "feat: add search"\n\nThis reverts commit a1b2c3d4e5.'
+          ),
+          createCommit('a1b2c3d4e5f6', 'feat: add search'),
+          createCommit('c3', 'fix: bug'),
+        ],
+        { types: ['fix'], reverted: ['add search'] },
+      ],
+      [
+        'pairs a semantic revert by header',
+        [
+          createCommit('b2', 'revert: feat: add search (#13)'),
+          createCommit('a1', 'feat: add search (#12)'),
+          createCommit('c3', 'fix: bug'),
+        ],
+        { types: ['fix'], reverted: ['add search'] },
+      ],
+      [
+        'pairs a GitHub revert pull request by header',
+        [
+          createCommit(
+            'b2',
+            'Revert "feat: add search" (#13)\n\nReverts o/r#12'
+          ),
+          createCommit('a1', 'feat: add search (#12)'),
+        ],
+        { types: [], reverted: ['add search'] },
+      ],
+      [
+        'keeps reverts of commits outside the range',
+        [
+          createCommit('b2', 'revert: feat: add old thing'),
+          createCommit('c3', 'fix: bug'),
+        ],
+        { types: ['revert', 'fix'], reverted: [] },
+      ],
+      [
+        'reverting a revert re-includes the original change',
+        [
+          createCommit(
+            'c3',
+            'Revert "Revert "feat: add search""\n\nThis reverts commit b2b2b2b.'
+          ),
+          createCommit(
+            'b2b2b2b',
+            'Revert "feat: add search"\n\nThis reverts commit a1a1a1a.'
+          ),
+          createCommit('a1a1a1a', 'feat: add search'),
+        ],
+        { types: ['feat'], reverted: [] },
+      ],
+    ])('%s', (name, commits, expected) => {
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+
+      expect(collection.map((item) => item.type)).toEqual(expected.types)
+      expect(collection.reverted.map((item) => item.description)).toEqual(
+        expected.reverted
+      )
+    })
+
+    test('excludes reverted changes from the version bump', () => {
+      const commits = [
+        createCommit('b2', 'revert: feat: add search'),
+        createCommit('a1', 'feat: add search'),
+        createCommit('c3', 'fix: bug'),
+      ]
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+
+      expect(collection.resolveVersionBump()).toEqual('patch')
+    })
+
+    test.each([
+      [
+        'needs no bump for only reverted changes',
+        [
+          createCommit('b2', 'revert: feat: add search'),
+          createCommit('a1', 'feat: add search'),
+        ],
+        'none',
+      ],
+      [
+        'applies the default bump to other non-semantic commits',
+        [
+          createCommit('c3', 'Merge branch main'),
+          createCommit('b2', 'revert: feat: add search'),
+          createCommit('a1', 'feat: add search'),
+        ],
+        'patch',
+      ],
+    ])('%s', (_, commits, expected) => {
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+
+      expect(collection.resolveVersionBump({ defaultBump: 'patch' })).toEqual(
+        expected
+      )
+      expect(
+        collection
+          .filter(() => true)
+          .resolveVersionBump({ defaultBump: 'patch' })
+      ).toEqual(expected)
+    })
+
+    test.each([
+      ['hide', '## Bug Fixes\n\n* Bug'],
+      [
+        'collapse',
+        '## Bug Fixes\n\n* Bug\n\n<details>\n<summary>Reverted (1 change)</summary>\n\n* Add search\n</details>',
+      ],
+    ])(
+      'renders reverted changes with reverted-changes: %s',
+      (mode, expected) => {
+        const commits = [
+          createCommit('b2', 'revert: feat: add search'),
+          createCommit('a1', 'feat: add search'),
+          createCommit('c3', 'fix: bug'),
+        ]
+        const collection = ReleaseChangeLineItems.fromCommits(commits)
+        const config = {
+          'change-template': '* $TITLE',
+          'reverted-changes': mode,
+          categories: [{ title: 'Bug Fixes', 'commit-types': ['fix'] }],
+        }
+
+        expect(collection.renderWithConfig(config)).toEqual(expected)
+      }
+    )
+
+    test('renders the reverted block after the no-changes-template', () => {
+      const commits = [
+        createCommit('b2', 'revert: feat: add search'),
+        createCommit('a1', 'feat: add search'),
+      ]
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+      const config = {
+        'change-template': '* $TITLE',
+        'no-changes-template': '* No changes',
+        'reverted-changes': 'collapse',
+      }
+
+      expect(collection.renderWithConfig(config)).toEqual(
+        '* No changes\n\n<details>\n<summary>Reverted (1 change)</summary>\n\n* Add search\n</details>'
+      )
+    })
+  })
+
+  describe('fromCommits with non-semantic-commits', () => {
+    test.each([
+      ['ignore', {}, []],
+      ['ignore explicitly', { 'non-semantic-commits': 'ignore' }, []],
+      ['fail', { 'non-semantic-commits': 'fail' }, []],
+      [
+        'include',
+        { 'non-semantic-commits': 'include' },
+        [['Update readme', null, 'Other', 'patch']],
+      ],
+    ])('%s', (_, config, expected) => {
+      const commits = [createCommit('a1', 'Update readme\n\nMore details')]
+      const collection = ReleaseChangeLineItems.fromCommits(commits, config)
+
+      expect(
+        collection.map((item) => [
+          item.description,
+          item.type,
+          item.categoryTitle,
+          item.bump,
+        ])
+      ).toEqual(expected)
+    })
+
+    test('titles included commits from their merged pull request', () => {
+      const commits = createMockCommits(['Update readme (#12)'])
+      commits[0].associatedPullRequests.nodes[0].title = 'Docs refresh'
+      const collection = ReleaseChangeLineItems.fromCommits(commits, {
+        'non-semantic-commits': 'include',
+      })
+
+      expect(collection.items[0].description).toEqual('Docs refresh')
+      expect(collection.items[0].prNumber).toEqual(1)
+    })
+
+    test('strips the pull request suffix from the first line', () => {
+      const commits = [createCommit('a1', 'Update readme (#12)')]
+      const collection = ReleaseChangeLineItems.fromCommits(commits, {
+        'non-semantic-commits': 'include',
+      })
+
+      expect(collection.items[0].description).toEqual('Update readme')
+      expect(collection.items[0].prNumber).toEqual(12)
+    })
+
+    test('renders included commits as uncategorized changes', () => {
+      const commits = [
+        createCommit('b2', 'feat: add search'),
+        createCommit('a1', 'Update readme'),
+      ]
+      const collection = ReleaseChangeLineItems.fromCommits(commits, {
+        'non-semantic-commits': 'include',
+      })
+      const config = {
+        'change-template': '* $TITLE',
+        categories: [{ title: 'Features', 'commit-types': ['feat'] }],
+        'category-template': '## $TITLE',
+      }
+
+      expect(collection.renderWithConfig(config)).toEqual(
+        '* Update readme\n\n## Features\n\n* Add search'
+      )
+    })
+  })
+
   describe('hasBreakingChanges and hasFeatures', () => {
     test.each([
       [
@@ -196,6 +753,11 @@ describe('ReleaseChangeLineItems', () => {
         ['fix!: breaking fix'],
         { hasBreakingChanges: true, hasFeatures: false },
       ],
+      [
+        'breaking change footer',
+        ['fix: bug fix\n\nBREAKING-CHANGE: removes option'],
+        { hasBreakingChanges: true, hasFeatures: false },
+      ],
     ])('%s', (name, messages, expected) => {
       const commits = createMockCommits(messages)
       const collection = ReleaseChangeLineItems.fromCommits(commits)
@@ -238,6 +800,91 @@ describe('ReleaseChangeLineItems', () => {
         'minor',
       ],
       ['patch for empty collection', [], {}, 'patch'],
+      [
+        'default bump for empty collection',
+        [],
+        { defaultBump: 'none' },
+        'none',
+      ],
+      [
+        'per-type bump raises a type',
+        ['fix: bug', 'perf: faster search'],
+        { typeBumps: { perf: 'minor' } },
+        'minor',
+      ],
+      [
+        'per-type bump lowers a type',
+        ['feat: feature'],
+        { typeBumps: { feat: 'patch' } },
+        'patch',
+      ],
+      [
+        'none when every change needs no release',
+        ['docs: readme', 'docs: changelog'],
+        { typeBumps: { docs: 'none' } },
+        'none',
+      ],
+      [
+        'none types do not lower other changes',
+        ['docs: readme', 'fix: bug'],
+        { typeBumps: { docs: 'none' } },
+        'patch',
+      ],
+      [
+        'scope rule lowers a type',
+        ['feat(internal): add helper', 'fix: bug'],
+        {
+          rules: [
+            {
+              'commit-types': ['feat'],
+              'commit-scopes': ['internal', 'test-utils'],
+              bump: 'patch',
+            },
+          ],
+        },
+        'patch',
+      ],
+      [
+        'scope rule does not apply to other scopes',
+        ['feat(api): add endpoint'],
+        {
+          rules: [
+            {
+              'commit-types': ['feat'],
+              'commit-scopes': ['internal'],
+              bump: 'patch',
+            },
+          ],
+        },
+        'minor',
+      ],
+      [
+        'scope rule wins over per-type bumps',
+        ['docs(api): document endpoints'],
+        {
+          rules: [{ 'commit-scopes': ['api'], bump: 'patch' }],
+          typeBumps: { docs: 'none' },
+        },
+        'patch',
+      ],
+      [
+        'scope rule with a wildcard',
+        ['feat(internal/cache): add eviction'],
+        {
+          rules: [{ 'commit-scopes': ['internal/*'], bump: 'none' }],
+        },
+        'none',
+      ],
+      [
+        'per-type bumps do not apply to breaking changes',
+        ['docs!: drop old docs'],
+        {
+          typeBumps: { docs: 'none' },
+          currentMajor: 1,
+          noAutoMajor: false,
+        },
+        'major',
+      ],
     ])('%s', (name, messages, config, expectedBump) => {
       const commits = createMockCommits(messages)
       const collection = ReleaseChangeLineItems.fromCommits(commits)
@@ -480,21 +1127,49 @@ describe('ReleaseChangeLineItems', () => {
         },
         '## Sentry Features\n\n* Sentry feature\n\n## Sentry Fixes\n\n* Sentry fix\n\n## Features\n\n* Other feature',
       ],
-    ])('%s', (name, messages, config, expected) => {
-      const commits = createMockCommits(messages)
-      const collection = ReleaseChangeLineItems.fromCommits(commits)
-      const result = collection.renderWithConfig(config)
-
-      expect(result).toEqual(expected)
-    })
-
-    test('renders with PR number when available', () => {
-      const commits = [
+      [
+        'multi-scope commits match a category on any of their scopes',
+        ['feat(api,cli): add flag', 'fix(docs cli): fix typo', 'feat: other'],
         {
-          oid: 'sha1',
-          message: 'feat: add feature',
-          associatedPullRequests: {
-            nodes: [{ merged: true, number: 42, url: 'https://pr/42' }],
+          ...defaultConfig,
+          categories: [
+            { title: 'CLI', 'commit-scopes': ['cli'] },
+            { title: 'Features', 'commit-types': ['feat'] },
+          ],
+        },
+        '## CLI\n\n* Add flag\n* Fix typo\n\n## Features\n\n* Other',
+      ],
+      [
+        'wildcard scope patterns match the parent and nested scopes',
+        [
+          'fix(ui/button): fix focus ring',
+          'feat(UI): add theme',
+          'feat(uikit): add kit',
+        ],
+        {
+          ...defaultConfig,
+          categories: [
+            { title: 'UI', 'commit-scopes': ['ui/*'] },
+            { title: 'Features', 'commit-types': ['feat'] },
+          ],
+        },
+        '## UI\n\n* Fix focus ring\n* Add theme\n\n## Features\n\n* Add kit',
+      ],
+    ])('%s', (name, messages, config, expected) => {
+      const commits = createMockCommits(messages)
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+      const result = collection.renderWithConfig(config)
+
+      expect(result).toEqual(expected)
+    })
+
+    test('renders with PR number when available', () => {
+      const commits = [
+        {
+          oid: 'sha1',
+          message: 'feat: add feature',
+          associatedPullRequests: {
+            nodes: [{ merged: true, number: 42, url: 'https://pr/42' }],
           },
         },
       ]
@@ -548,6 +1223,63 @@ describe('ReleaseChangeLineItems', () => {
       expect(result).toContain('* MixedCase Title')
     })
 
+    test('exposes $BREAKING_DESCRIPTION to change-template', () => {
+      const commits = createMockCommits([
+        'feat!: drop node 16\n\nBREAKING CHANGE: upgrade to node 20',
+      ])
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+      const config = {
+        ...defaultConfig,
+        'change-template': '* $TITLE: $BREAKING_DESCRIPTION',
+      }
+
+      expect(collection.renderWithConfig(config)).toEqual(
+        '## Features\n\n* Drop node 16: upgrade to node 20'
+      )
+    })
+
+    test('renders migration text under entries of the breaking category', () => {
+      const commits = createMockCommits([
+        'feat!: drop node 16\n\nBREAKING CHANGE: upgrade to node 20\nand reinstall',
+        'fix!: rename option',
+        'feat: add feature',
+      ])
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+      const config = {
+        ...defaultConfig,
+        'breaking-description-template': '> $BREAKING_DESCRIPTION',
+        categories: [
+          { title: 'Breaking Changes', 'commit-types': ['breaking'] },
+          { title: 'Features', 'commit-types': ['feat'] },
+        ],
+      }
+
+      expect(collection.renderWithConfig(config)).toEqual(
+        '## Breaking Changes\n\n' +
+          '* Drop node 16\n  > upgrade to node 20\n  and reinstall\n' +
+          '* Rename option\n\n' +
+          '## Features\n\n* Add feature'
+      )
+    })
+
+    test('omits migration text when breaking-description-template is empty', () => {
+      const commits = createMockCommits([
+        'feat!: drop node 16\n\nBREAKING CHANGE: upgrade to node 20',
+      ])
+      const collection = ReleaseChangeLineItems.fromCommits(commits)
+      const config = {
+        ...defaultConfig,
+        'breaking-description-template': '',
+        categories: [
+          { title: 'Breaking Changes', 'commit-types': ['breaking'] },
+        ],
+      }
+
+      expect(collection.renderWithConfig(config)).toEqual(
+        '## Breaking Changes\n\n* Drop node 16'
+      )
+    })
+
     test('sorts categories by display-order values', () => {
       const commits = createMockCommits([
         'feat: feature one',
@@ -650,6 +1382,702 @@ describe('ReleaseChangeLineItems', () => {
   })
 })
 
+describe('splitScopes', () => {
+  test.each([
+    [undefined, []],
+    [null, []],
+    ['api', ['api']],
+    ['api,cli', ['api', 'cli']],
+    ['api, cli', ['api', 'cli']],
+    ['api cli', ['api', 'cli']],
+    ['ui/button', ['ui/button']],
+  ])('%p', (scope, expected) => {
+    expect(splitScopes(scope)).toEqual(expected)
+  })
+})
+
+describe('matchesScopePattern', () => {
+  test.each([
+    ['api', 'api', true],
+    ['API', 'api', true],
+    ['api', 'cli', false],
+    ['ui/button', 'ui', false],
+    ['ui', 'ui/*', true],
+    ['ui/button', 'ui/*', true],
+    ['ui/button/icon', 'UI/*', true],
+    ['uikit', 'ui/*', false],
+    ['anything', '*', true],
+  ])('%p against %p', (scope, pattern, expected) => {
+    expect(matchesScopePattern(scope, pattern)).toBe(expected)
+  })
+})
+
+describe('findNonSemanticCommits', () => {
+  test('returns commits without a semantic line', () => {
+    const commits = [
+      createCommit('c3', 'feat: add search'),
+      createCommit('b2', 'Update readme'),
+      createCommit('a1', 'security: patch xss'),
+    ]
+
+    expect(findNonSemanticCommits(commits)).toEqual([commits[1], commits[2]])
+    expect(
+      findNonSemanticCommits(commits, {
+        'commit-types': { security: { title: 'Security' } },
+      })
+    ).toEqual([commits[1]])
+  })
+
+  test('reads pull request titles with change-source', () => {
+    const commits = [
+      createPullRequestCommit('b2', 'Merge pull request #2', 2, 'feat: search'),
+      createPullRequestCommit('a1', 'feat: add search', 1, 'Add search'),
+    ]
+
+    expect(
+      findNonSemanticCommits(commits, { 'change-source': 'pull-request' })
+    ).toEqual([commits[1]])
+    expect(
+      findNonSemanticCommits(commits, { 'change-source': 'auto' })
+    ).toEqual([])
+  })
+
+  test('skips paired reverts', () => {
+    const commits = [
+      createCommit('b2', 'Revert "Update readme"'),
+      createCommit('a1', 'Update readme'),
+    ]
+
+    expect(findNonSemanticCommits(commits)).toEqual([])
+  })
+})
+
+describe('resolveCommitTypes', () => {
+  test('returns built-in types without overrides', () => {
+    expect(resolveCommitTypes()).toEqual(COMMIT_TYPES)
+    expect(resolveCommitTypes({})).toEqual(COMMIT_TYPES)
+  })
+
+  test.each([
+    [
+      'adds a new type with defaults',
+      { deps: {} },
+      'deps',
+      { title: 'deps', bump: 'patch' },
+    ],
+    [
+      'adds a new type with title and bump',
+      { security: { title: 'Security', bump: 'minor' } },
+      'security',
+      { title: 'Security', bump: 'minor' },
+    ],
+    [
+      'overrides the bump of a built-in type, keeping its title',
+      { perf: { bump: 'minor' } },
+      'perf',
+      { title: 'Performance Improvements', bump: 'minor' },
+    ],
+    [
+      'overrides the title of a built-in type, keeping its bump',
+      { feat: { title: 'New Stuff' } },
+      'feat',
+      { title: 'New Stuff', bump: 'minor' },
+    ],
+    [
+      'normalizes type keys to lowercase',
+      { I18N: { title: 'Translations' } },
+      'i18n',
+      { title: 'Translations', bump: 'patch' },
+    ],
+  ])('%s', (name, overrides, type, expected) => {
+    expect(resolveCommitTypes(overrides)[type]).toEqual(expected)
+  })
+})
+
+describe('parseSemanticCommit with commit parser presets', () => {
+  test.each([
+    [
+      'conventionalcommits',
+      'feat(api)!: add search (#12)',
+      {
+        type: 'feat',
+        scope: 'api',
+        description: 'add search',
+        breaking: true,
+        prNumberFromCommit: 12,
+      },
+    ],
+    [
+      'angular',
+      'feat(api): add search (#12)',
+      {
+        type: 'feat',
+        scope: 'api',
+        description: 'add search',
+        breaking: false,
+        prNumberFromCommit: 12,
+      },
+    ],
+    [
+      'eslint',
+      'Fix: crash on empty input (fixes #1, refs #2)',
+      {
+        type: 'fix',
+        scope: null,
+        description: 'crash on empty input',
+        breaking: false,
+        trailers: { Fixes: ['#1'], Refs: ['#2'] },
+      },
+    ],
+    [
+      'eslint',
+      'New: add search (#12)',
+      {
+        type: 'feat',
+        description: 'add search',
+        breaking: false,
+        prNumberFromCommit: 12,
+      },
+    ],
+    [
+      'eslint',
+      'Breaking: drop node 16',
+      { type: 'feat', description: 'drop node 16', breaking: true },
+    ],
+    [
+      'eslint',
+      'Upgrade: lodash to 4.17.21',
+      { type: 'chore', description: 'lodash to 4.17.21', breaking: false },
+    ],
+  ])('%s parses %p', (convention, message, expected) => {
+    const [parsed] = parseSemanticCommit(message, { convention })
+
+    expect(parsed).toMatchObject(expected)
+  })
+
+  test.each([
+    ['angular', 'feat(api)!: add search'],
+    ['angular', 'feat:add search'],
+    ['eslint', 'feat: add search'],
+    ['eslint', 'Unknown: add search'],
+  ])('%s ignores %p', (convention, message) => {
+    expect(parseSemanticCommit(message, { convention })).toEqual([])
+  })
+
+  test('angular breaking changes come from footers', () => {
+    const [parsed] = parseSemanticCommit(
+      'feat: add search\n\nBREAKING CHANGE: drops the old endpoint',
+      { convention: 'angular' }
+    )
+
+    expect(parsed.breaking).toBe(true)
+    expect(parsed.breakingDescription).toEqual('drops the old endpoint')
+  })
+
+  describe('commit-pattern', () => {
+    const commitPattern =
+      '^\\[(?<type>\\w+)(?:/(?<scope>[\\w-]+))?\\](?<breaking>!)?\\s+(?<description>.+)$'
+
+    test.each([
+      [
+        '[feat] add search',
+        {
+          type: 'feat',
+          scope: null,
+          description: 'add search',
+          breaking: false,
+        },
+      ],
+      [
+        '[fix/api]! drop v1 routes (#12)',
+        {
+          type: 'fix',
+          scope: 'api',
+          description: 'drop v1 routes',
+          breaking: true,
+          prNumberFromCommit: 12,
+        },
+      ],
+      [
+        '[Feature] add search',
+        { type: 'feat', alias: 'feature', description: 'add search' },
+      ],
+    ])('parses %p', (message, expected) => {
+      const [parsed] = parseSemanticCommit(message, {
+        commitPattern,
+        typeAliases: { feature: 'feat' },
+      })
+
+      expect(parsed).toMatchObject(expected)
+    })
+
+    test.each(['feat: add search', '[unknown] add search'])(
+      'ignores %p',
+      (message) => {
+        expect(parseSemanticCommit(message, { commitPattern })).toEqual([])
+      }
+    )
+
+    test('takes precedence over commit-convention', () => {
+      const collection = ReleaseChangeLineItems.fromCommits(
+        createMockCommits(['[feat] add search', '✨ add search']),
+        { 'commit-convention': 'gitmoji', 'commit-pattern': commitPattern }
+      )
+
+      expect(collection.map((item) => item.raw)).toEqual(['[feat] add search'])
+    })
+  })
+})
+
+describe('parseSemanticCommit with changelog trailers', () => {
+  const changelogTrailers = {
+    skip: 'Changelog',
+    description: 'Release-Note',
+    type: 'Release-Note-Type',
+  }
+
+  test.each([
+    ['no trailers', 'feat: add search', [['feat', 'add search']]],
+    ['skip', 'feat: add search\n\nChangelog: skip', []],
+    ['skip, any case', 'feat: add search\n\nchangelog: Skip', []],
+    [
+      'other changelog value',
+      'feat: add search\n\nChangelog: keep',
+      [['feat', 'add search']],
+    ],
+    [
+      'description override',
+      'feat: add serach\n\nRelease-Note: Add search to the dashboard',
+      [['feat', 'Add search to the dashboard']],
+    ],
+    [
+      'type override',
+      'feat: fix search\n\nRelease-Note-Type: fix',
+      [['fix', 'fix search']],
+    ],
+    [
+      'unknown type override',
+      'feat: add search\n\nRelease-Note-Type: unknown',
+      [['feat', 'add search']],
+    ],
+    [
+      'trailers scoped to their block',
+      'feat: add search\n\nChangelog: skip\n\nfix: handle empty query',
+      [['fix', 'handle empty query']],
+    ],
+  ])('%s', (_, message, expected) => {
+    const entries = parseSemanticCommit(message, { changelogTrailers })
+
+    expect(entries.map((entry) => [entry.type, entry.description])).toEqual(
+      expected
+    )
+  })
+
+  test('uses configured trailer names', () => {
+    const entries = parseSemanticCommit(
+      'feat: add search\n\nChangelog: skip\nNote: Search',
+      { changelogTrailers: { skip: '', description: 'Note' } }
+    )
+
+    expect(entries.map((entry) => entry.description)).toEqual(['Search'])
+  })
+
+  test('ignores trailers without changelogTrailers', () => {
+    expect(
+      parseSemanticCommit('feat: add search\n\nChangelog: skip')
+    ).toHaveLength(1)
+  })
+
+  describe('fromCommits', () => {
+    const config = {
+      'changelog-trailers': changelogTrailers,
+      'pull-request-trailers': true,
+    }
+
+    test.each([
+      ['no body', 'feat: add search', null, [['feat', 'add search']]],
+      [
+        'pull request body overrides the commit',
+        'feat: add search\n\nRelease-Note: From commit',
+        'Some description\n\nRelease-Note: From pull request',
+        [['feat', 'From pull request']],
+      ],
+      [
+        'pull request body skips the entry',
+        'feat: add search',
+        'Changelog: skip',
+        [],
+      ],
+      [
+        'pull request body re-categorizes the entry',
+        'feat: add search',
+        'Release-Note-Type: docs',
+        [['docs', 'add search']],
+      ],
+    ])('%s', (_, message, body, expected) => {
+      const collection = ReleaseChangeLineItems.fromCommits(
+        [createCommitWithBody(message, body)],
+        config
+      )
+
+      expect(collection.map((item) => [item.type, item.description])).toEqual(
+        expected
+      )
+    })
+
+    test('ignores pull request bodies without pull-request-trailers', () => {
+      const collection = ReleaseChangeLineItems.fromCommits(
+        [createCommitWithBody('feat: add search', 'Changelog: skip')],
+        { 'changelog-trailers': changelogTrailers }
+      )
+
+      expect(collection.map((item) => [item.type, item.description])).toEqual([
+        ['feat', 'add search'],
+      ])
+    })
+
+    test.each([
+      [
+        'ignores the release note of a squash commit with several changes',
+        'Release-Note: Adds the search page\nRelease-Note-Type: fix',
+        [
+          ['feat', 'add search'],
+          ['fix', 'typo in header'],
+          ['docs', 'update readme'],
+        ],
+      ],
+      ['skips every change of a squash commit', 'Changelog: skip', []],
+    ])('%s', (_, body, expected) => {
+      const collection = ReleaseChangeLineItems.fromCommits(
+        [
+          createCommitWithBody(
+            'feat: add search\n\n* fix: typo in header\n* docs: update readme',
+            body
+          ),
+        ],
+        { ...config, 'parse-list-items': true }
+      )
+
+      expect(collection.map((item) => [item.type, item.description])).toEqual(
+        expected
+      )
+    })
+
+    test('ignores the release note of a pull request with several commits', () => {
+      const commits = ['feat: add search', 'fix: handle empty query'].map(
+        (message, index) => ({
+          ...createCommitWithBody(message, 'Release-Note: Adds search'),
+          oid: `a${index}`,
+        })
+      )
+
+      expect(
+        ReleaseChangeLineItems.fromCommits(commits, config).map(
+          (item) => item.description
+        )
+      ).toEqual(['add search', 'handle empty query'])
+    })
+
+    test('applies the release note of a pull request title', () => {
+      const commits = ['feat: add search', 'fix: handle empty query'].map(
+        (message, index) => ({
+          ...createCommitWithBody(message, 'Release-Note: Adds search'),
+          oid: `a${index}`,
+        })
+      )
+      commits[0].associatedPullRequests.nodes[0].title = 'feat: search'
+
+      expect(
+        ReleaseChangeLineItems.fromCommits(commits, {
+          ...config,
+          'change-source': 'pull-request',
+        }).map((item) => [item.type, item.description])
+      ).toEqual([['feat', 'Adds search']])
+    })
+
+    test('types non-semantic commits with a type override', () => {
+      const collection = ReleaseChangeLineItems.fromCommits(
+        [createCommitWithBody('Update readme\n\nRelease-Note-Type: docs', '')],
+        { ...config, 'non-semantic-commits': 'include' }
+      )
+
+      expect(collection.map((item) => [item.type, item.description])).toEqual([
+        ['docs', 'Search'],
+      ])
+    })
+
+    test('skipped commits are not included or reported as non-semantic', () => {
+      const commits = [
+        createCommitWithBody('feat: add search\n\nChangelog: skip', ''),
+        createCommitWithBody('Bump version\n\nChangelog: skip', ''),
+      ]
+
+      expect(
+        ReleaseChangeLineItems.fromCommits(commits, {
+          ...config,
+          'non-semantic-commits': 'include',
+        }).length
+      ).toEqual(0)
+      expect(findNonSemanticCommits(commits, config)).toEqual([])
+    })
+  })
+})
+
+describe('resolveTypeAliases', () => {
+  test.each([
+    [undefined, {}],
+    [{}, {}],
+    [{ feature: 'feat' }, { feature: 'feat' }],
+    [{ Feature: ' FEAT ' }, { feature: 'feat' }],
+  ])('%p', (aliases, expected) => {
+    expect(resolveTypeAliases(aliases)).toEqual(expected)
+  })
+})
+
+describe('parseSemanticCommit', () => {
+  test('ignores unknown types by default', () => {
+    expect(parseSemanticCommit('security: patch xss')).toEqual([])
+  })
+
+  test('accepts types from a custom commit type table', () => {
+    const commitTypes = resolveCommitTypes({ security: {} })
+    const [parsed] = parseSemanticCommit('security: patch xss', {
+      commitTypes,
+    })
+
+    expect(parsed.type).toEqual('security')
+    expect(parsed.description).toEqual('patch xss')
+  })
+
+  test.each([
+    ['feature: add x', { feature: 'feat' }, 'feat', 'feature'],
+    ['FEATURE: add x', { feature: 'feat' }, 'feat', 'feature'],
+    ['Fix: add x', {}, 'fix', null],
+    ['feat: add x', { feature: 'feat' }, 'feat', null],
+  ])(
+    'resolves %p to its canonical type',
+    (message, typeAliases, type, alias) => {
+      const [parsed] = parseSemanticCommit(message, { typeAliases })
+
+      expect(parsed.type).toEqual(type)
+      expect(parsed.alias).toEqual(alias)
+    }
+  )
+
+  test.each([
+    ['feature: add x', {}],
+    ['feature: add x', { feature: 'feet' }],
+  ])('ignores %p with aliases %p', (message, typeAliases) => {
+    expect(parseSemanticCommit(message, { typeAliases })).toEqual([])
+  })
+
+  test('splits multi-scope commits into scopes', () => {
+    const [parsed] = parseSemanticCommit('feat(api, cli): add flag')
+
+    expect(parsed.scope).toEqual('api, cli')
+    expect(parsed.scopes).toEqual(['api', 'cli'])
+  })
+})
+
+describe('parseSemanticCommit with list items', () => {
+  const squashMessage = [
+    'Add search (#12)',
+    '',
+    '* feat: add search',
+    '  * fix(api): handle empty query',
+    '- docs: document search',
+    '+ test: cover search',
+    '1. chore: bump deps',
+    '2) ci: cache deps',
+    '* not a semantic line',
+  ].join('\n')
+
+  test('ignores list items by default', () => {
+    expect(parseSemanticCommit(squashMessage)).toEqual([])
+  })
+
+  test('parses list items with parseListItems', () => {
+    const parsed = parseSemanticCommit(squashMessage, { parseListItems: true })
+
+    expect(parsed.map(({ type, scope, raw }) => [type, scope, raw])).toEqual([
+      ['feat', null, 'feat: add search'],
+      ['fix', 'api', 'fix(api): handle empty query'],
+      ['docs', null, 'docs: document search'],
+      ['test', null, 'test: cover search'],
+      ['chore', null, 'chore: bump deps'],
+      ['ci', null, 'ci: cache deps'],
+    ])
+  })
+
+  test('keeps footers scoped to the list item they follow', () => {
+    const parsed = parseSemanticCommit(
+      '* feat!: drop node 16\n\n  BREAKING CHANGE: upgrade to node 20\n\n* fix: bug',
+      { parseListItems: true }
+    )
+
+    expect(parsed.map(({ breaking }) => breaking)).toEqual([true, false])
+  })
+
+  test('fromCommits reads parse-list-items from config', () => {
+    const commits = createMockCommits([squashMessage])
+
+    expect(ReleaseChangeLineItems.fromCommits(commits).length).toEqual(0)
+    expect(
+      ReleaseChangeLineItems.fromCommits(commits, { 'parse-list-items': true })
+        .length
+    ).toEqual(6)
+  })
+})
+
+describe('parseSemanticCommit breaking change scoping', () => {
+  const squashMessage = [
+    'feat: add search (#12)',
+    '',
+    'fix: handle empty query',
+    '',
+    'feat(api)!: rename search endpoint',
+    '',
+    'BREAKING CHANGE: use /v2/search instead of /search',
+    '',
+    'docs: document search',
+  ].join('\n')
+
+  test('associates a breaking footer only with the header it follows', () => {
+    const parsed = parseSemanticCommit(squashMessage)
+
+    expect(
+      parsed.map(({ type, breaking, breakingDescription }) => [
+        type,
+        breaking,
+        breakingDescription,
+      ])
+    ).toEqual([
+      ['feat', false, null],
+      ['fix', false, null],
+      ['feat', true, 'use /v2/search instead of /search'],
+      ['docs', false, null],
+    ])
+  })
+
+  test('keeps trailers with their own block', () => {
+    const parsed = parseSemanticCommit(
+      'feat: add search\n\nRefs: #1\n\nfix: handle empty query\n\nRefs: #2'
+    )
+
+    expect(parsed.map((entry) => entry.trailers)).toEqual([
+      { Refs: ['#1'] },
+      { Refs: ['#2'] },
+    ])
+  })
+
+  test('ignores footers that precede any semantic header', () => {
+    const parsed = parseSemanticCommit(
+      'Merge branch main\n\nBREAKING CHANGE: unrelated\n\nfix: handle empty query'
+    )
+
+    expect(parsed).toHaveLength(1)
+    expect(parsed[0].breaking).toBe(false)
+  })
+
+  test('only counts the breaking sub-change in the version bump', () => {
+    const commits = createMockCommits([squashMessage])
+    const collection = ReleaseChangeLineItems.fromCommits(commits)
+
+    expect(collection.getBreakingChanges().length).toEqual(1)
+  })
+})
+
+describe('parseCommitFooters', () => {
+  test.each([
+    [
+      'returns empty footers for a header-only message',
+      'feat: add feature',
+      { trailers: {}, breakingDescription: null, hasBreakingChange: false },
+    ],
+    [
+      'parses BREAKING CHANGE footer',
+      'feat: add feature\n\nBREAKING CHANGE: drops node 16',
+      {
+        trailers: { 'BREAKING CHANGE': ['drops node 16'] },
+        breakingDescription: 'drops node 16',
+        hasBreakingChange: true,
+      },
+    ],
+    [
+      'parses BREAKING-CHANGE footer as a synonym',
+      'feat: add feature\n\nBREAKING-CHANGE: drops node 16',
+      {
+        trailers: { 'BREAKING CHANGE': ['drops node 16'] },
+        breakingDescription: 'drops node 16',
+        hasBreakingChange: true,
+      },
+    ],
+    [
+      'parses multi-line footer values',
+      'feat: add feature\n\nBREAKING CHANGE: drops node 16\nupgrade to node 20\nReviewed-by: Z',
+      {
+        trailers: {
+          'BREAKING CHANGE': ['drops node 16\nupgrade to node 20'],
+          'Reviewed-by': ['Z'],
+        },
+        breakingDescription: 'drops node 16\nupgrade to node 20',
+        hasBreakingChange: true,
+      },
+    ],
+    [
+      'continues footer values across blank lines',
+      'feat: add feature\n\nBREAKING CHANGE: drops node 16\n\nUpgrade to node 20.\n\n\nReviewed-by: Z',
+      {
+        trailers: {
+          'BREAKING CHANGE': ['drops node 16\n\nUpgrade to node 20.'],
+          'Reviewed-by': ['Z'],
+        },
+        breakingDescription: 'drops node 16\n\nUpgrade to node 20.',
+        hasBreakingChange: true,
+      },
+    ],
+    [
+      'parses arbitrary trailers and the hash separator',
+      'fix: prevent racing\n\nSome body text.\n\nReviewed-by: Z\nRefs #133\nCo-authored-by: A <a@b.c>\nCo-authored-by: B <b@c.d>',
+      {
+        trailers: {
+          'Reviewed-by': ['Z'],
+          Refs: ['133'],
+          'Co-authored-by': ['A <a@b.c>', 'B <b@c.d>'],
+        },
+        breakingDescription: null,
+        hasBreakingChange: false,
+      },
+    ],
+    [
+      'recognizes BREAKING CHANGE directly after body text',
+      'feat: add feature\n\nSome body text.\nBREAKING CHANGE: drops node 16',
+      {
+        trailers: { 'BREAKING CHANGE': ['drops node 16'] },
+        breakingDescription: 'drops node 16',
+        hasBreakingChange: true,
+      },
+    ],
+    [
+      'ignores tokens in the middle of a body paragraph',
+      'feat: add feature\n\nSome body text.\nNote: not a footer',
+      { trailers: {}, breakingDescription: null, hasBreakingChange: false },
+    ],
+    [
+      'does not treat semantic lines as footers',
+      'feat: add feature\n\nfix: resolve bug',
+      { trailers: {}, breakingDescription: null, hasBreakingChange: false },
+    ],
+    [
+      'does not treat lowercase breaking change as a footer token',
+      'feat: add feature\n\nbreaking change: nope',
+      { trailers: {}, breakingDescription: null, hasBreakingChange: false },
+    ],
+  ])('%s', (name, message, expected) => {
+    expect(parseCommitFooters(message)).toEqual(expected)
+  })
+})
+
 describe('applyTitlePostProcessors', () => {
   test.each([
     [
@@ -669,6 +2097,91 @@ describe('applyTitlePostProcessors', () => {
     ['handles uppercase input', 'HELLO', ['sentence-case'], 'HELLO'],
     ['returns unchanged with no processors', 'hello', [], 'hello'],
     ['ignores unknown processors', 'hello', ['unknown-processor'], 'hello'],
+    ['none keeps the title', 'hello world', ['none'], 'hello world'],
+    ['lowercase-first', 'Add search', ['lowercase-first'], 'add search'],
+    [
+      'lowercase-first keeps acronyms',
+      'API: add search',
+      ['lowercase-first'],
+      'API: add search',
+    ],
+    [
+      'strip-trailing-period',
+      'add search.',
+      ['strip-trailing-period'],
+      'add search',
+    ],
+    [
+      'strip-trailing-period keeps ellipses',
+      'add search and more...',
+      ['strip-trailing-period'],
+      'add search and more...',
+    ],
+    [
+      'trim-ticket-prefix with a colon',
+      'PLAT-881: add search',
+      ['trim-ticket-prefix'],
+      'add search',
+    ],
+    [
+      'trim-ticket-prefix in brackets',
+      '[PLAT-881] add search',
+      ['trim-ticket-prefix'],
+      'add search',
+    ],
+    [
+      'trim-ticket-prefix with a dash',
+      '(PLAT-881) - add search',
+      ['trim-ticket-prefix'],
+      'add search',
+    ],
+    [
+      'trim-ticket-prefix with a bare key and a dash',
+      'PLAT-881 - add search',
+      ['trim-ticket-prefix'],
+      'add search',
+    ],
+    [
+      'trim-ticket-prefix keeps other titles',
+      'UTF-8 support',
+      ['trim-ticket-prefix'],
+      'UTF-8 support',
+    ],
+    [
+      'collapse-whitespace',
+      '  add   search\tbox ',
+      ['collapse-whitespace'],
+      'add search box',
+    ],
+    [
+      'capitalize-acronyms',
+      'add ios support to the api and graphql url',
+      ['capitalize-acronyms'],
+      'add iOS support to the API and GraphQL URL',
+    ],
+    [
+      'capitalize-acronyms keeps words containing acronyms',
+      'rapid build',
+      ['capitalize-acronyms'],
+      'rapid build',
+    ],
+    [
+      'capitalize-acronyms with custom words',
+      'add grpc and api support',
+      [{ 'capitalize-acronyms': ['gRPC'] }],
+      'add gRPC and API support',
+    ],
+    [
+      'processors apply in order',
+      'PLAT-881: ios support.',
+      [
+        'trim-ticket-prefix',
+        'sentence-case',
+        'capitalize-acronyms',
+        'strip-trailing-period',
+      ],
+      'iOS support',
+    ],
   ])('%s', (name, input, processors, expected) => {
     expect(applyTitlePostProcessors(input, processors)).toEqual(expected)
   })
@@ -685,3 +2198,357 @@ describe('TITLE_POST_PROCESSORS', () => {
     expect(TITLE_POST_PROCESSORS['sentence-case']()).toBeUndefined()
   })
 })
+
+describe('issue references', () => {
+  const config = {
+    'issue-trackers': [
+      {
+        keys: ['PLAT'],
+        'link-template': 'https://jira.example.com/browse/$KEY',
+      },
+    ],
+  }
+  const closingIssuesReferences = {
+    nodes: [
+      {
+        number: 12,
+        url: 'https://github.com/octocat/repo/issues/12',
+        repository: { nameWithOwner: 'octocat/repo' },
+      },
+    ],
+  }
+
+  test('collects references from the entry block', () => {
+    const [first, second] = parseSemanticCommit(
+      'feat: add search\n\nRefs: PLAT-1\n\nfix: handle timeouts\n\nFixes #3',
+      { issueTrackers: config['issue-trackers'] }
+    )
+
+    expect(first.issues.map(({ key }) => key)).toEqual(['PLAT-1'])
+    expect(second.issues.map(({ key }) => key)).toEqual(['#3'])
+  })
+
+  test('adds the issues the pull request closes and renders $ISSUES', () => {
+    const commit = {
+      oid: 'a1',
+      message: 'fix: handle timeouts\n\nRefs: PLAT-881\nFixes octocat/repo#12',
+      associatedPullRequests: {
+        nodes: [
+          {
+            merged: true,
+            number: 42,
+            title: 'Handle timeouts',
+            baseRepository: { nameWithOwner: 'octocat/repo' },
+            closingIssuesReferences,
+          },
+        ],
+      },
+    }
+    const collection = ReleaseChangeLineItems.fromCommits([commit], config)
+
+    expect(collection.items[0].issues).toEqual([
+      { key: 'PLAT-881', url: 'https://jira.example.com/browse/PLAT-881' },
+      { key: '#12', url: null },
+    ])
+    expect(
+      collection.renderWithConfig({
+        ...config,
+        'change-template': '* $TITLE (#$NUMBER) $ISSUES',
+      })
+    ).toContain(
+      '* Handle timeouts (#42) [PLAT-881](https://jira.example.com/browse/PLAT-881), #12'
+    )
+  })
+
+  test('merged duplicates list the issues of every duplicate', () => {
+    const collection = ReleaseChangeLineItems.fromCommits(
+      [
+        createCommit('a1', 'fix: handle timeouts (#42)\n\nFixes #1'),
+        createCommit('a2', 'fix: handle timeouts (#42)\n\nFixes #2'),
+      ],
+      { 'duplicate-changes': 'merge' }
+    )
+
+    expect(collection.items[0].issues.map(({ key }) => key)).toEqual([
+      '#1',
+      '#2',
+    ])
+  })
+})
+
+describe('excluded changes', () => {
+  const config = {
+    'exclude-types': ['ci'],
+    'exclude-scopes': ['deps', 'docs/*'],
+    'exclude-descriptions': ['^bump version', 'typo'],
+  }
+
+  test.each([
+    ['feat: add search', false],
+    ['ci: cache node modules', true],
+    ['chore(deps): bump lodash', true],
+    ['chore(deps, api): bump lodash', true],
+    ['docs(docs/api): update examples', true],
+    ['chore: Bump version to 1.2.0', true],
+    ['fix: typo in error message', true],
+    ['chore(dependencies): bump lodash', false],
+  ])('%s is excluded: %s', (message, expected) => {
+    const [item] = ReleaseChangeLineItems.fromCommits(
+      createMockCommits([message])
+    ).toArray()
+
+    expect(isExcludedChange(item, config)).toEqual(expected)
+  })
+
+  test('excludes no change without config', () => {
+    const [item] = ReleaseChangeLineItems.fromCommits(
+      createMockCommits(['ci: cache node modules'])
+    ).toArray()
+
+    expect(isExcludedChange(item, {})).toEqual(false)
+  })
+
+  test('leaves excluded changes out of the notes only', () => {
+    const collection = ReleaseChangeLineItems.fromCommits(
+      createMockCommits([
+        'feat: add search',
+        'ci: cache node modules',
+        'chore(deps): bump lodash',
+      ])
+    )
+    const renderConfig = {
+      ...config,
+      categories: [
+        { title: 'Features', 'commit-types': ['feat'] },
+        { title: 'Maintenance', 'commit-types': ['ci', 'chore'] },
+      ],
+    }
+
+    expect(collection.renderWithConfig(renderConfig)).toEqual(
+      '## Features\n\n* Add search'
+    )
+    expect(collection.length).toEqual(3)
+  })
+
+  test('renders no-changes-template when every change is excluded', () => {
+    const collection = ReleaseChangeLineItems.fromCommits(
+      createMockCommits(['ci: cache node modules'])
+    )
+
+    expect(collection.renderWithConfig(config)).toEqual('* No changes')
+  })
+
+  test('leaves excluded reverted changes out of the reverted block', () => {
+    const collection = ReleaseChangeLineItems.fromCommits(
+      [
+        createCommit(
+          'b2',
+          'Revert "ci: cache node modules"\n\nThis reverts commit a1.'
+        ),
+        createCommit('a1', 'ci: cache node modules'),
+        createCommit('c3', 'feat: add search'),
+      ],
+      { 'reverted-changes': 'collapse' }
+    )
+
+    expect(
+      collection.renderWithConfig({ ...config, 'reverted-changes': 'collapse' })
+    ).toEqual('* Add search')
+  })
+})
+
+describe('group-by scope', () => {
+  const config = {
+    categories: [
+      { title: 'Features', 'commit-types': ['feat'], 'group-by': 'scope' },
+      { title: 'Bug Fixes', 'commit-types': ['fix'] },
+    ],
+  }
+
+  test('groups items by their first scope, unscoped items first', () => {
+    const collection = ReleaseChangeLineItems.fromCommits(
+      createMockCommits([
+        'feat(ui): add dark mode',
+        'feat(api, cli): add search',
+        'feat: add settings',
+        'feat(API): add pagination',
+      ])
+    )
+
+    expect(
+      groupItemsByScope(collection.toArray()).map(({ scope, items }) => [
+        scope,
+        items.map((item) => item.description),
+      ])
+    ).toEqual([
+      [null, ['add settings']],
+      ['api', ['add search', 'add pagination']],
+      ['ui', ['add dark mode']],
+    ])
+  })
+
+  test.each([
+    [
+      'renders scope sub-headings',
+      {},
+      '## Features\n\n* Add settings\n\n### api\n\n* Add search\n\n### cli\n\n* Add completions\n* Add json output\n\n## Bug Fixes\n\n* Handle timeouts',
+    ],
+    [
+      'renders with scope-template',
+      { 'scope-template': '**$SCOPE**' },
+      '## Features\n\n* Add settings\n\n**api**\n\n* Add search\n\n**cli**\n\n* Add completions\n* Add json output\n\n## Bug Fixes\n\n* Handle timeouts',
+    ],
+  ])('%s', (_, renderConfig, expected) => {
+    const collection = ReleaseChangeLineItems.fromCommits(
+      createMockCommits([
+        'feat(cli): add completions',
+        'feat(api): add search',
+        'feat: add settings',
+        'feat(cli): add json output',
+        'fix(api): handle timeouts',
+      ])
+    )
+
+    expect(collection.renderWithConfig({ ...config, ...renderConfig })).toEqual(
+      expected
+    )
+  })
+})
+
+describe('title-processors', () => {
+  test.each([
+    ['sentence case by default', {}, '* Add iOS support.'],
+    ['none', { 'title-processors': ['none'] }, '* add iOS support.'],
+    [
+      'configured processors',
+      { 'title-processors': ['strip-trailing-period', 'lowercase-first'] },
+      '* add iOS support',
+    ],
+  ])('%s', (_, config, expected) => {
+    const collection = ReleaseChangeLineItems.fromCommits(
+      createMockCommits(['feat: add iOS support.'])
+    )
+
+    expect(collection.renderWithConfig(config)).toEqual(expected)
+  })
+})
+
+describe('resolveItemBump', () => {
+  const [feature, nonSemantic] = ReleaseChangeLineItems.fromCommits(
+    createMockCommits(['feat: add search', 'Update readme']),
+    { 'non-semantic-commits': 'include' }
+  ).toArray()
+
+  test.each([
+    ['commit type bump', feature, {}, 'minor'],
+    ['per-type bump', feature, { typeBumps: { feat: 'major' } }, 'major'],
+    ['default bump of non-semantic commits', nonSemantic, {}, 'patch'],
+    [
+      'configured default bump of non-semantic commits',
+      nonSemantic,
+      { defaultBump: 'none' },
+      'none',
+    ],
+  ])('%s', (_, item, options, expected) => {
+    expect(resolveItemBump(item, options)).toEqual(expected)
+  })
+})
+
+describe('version bump rules', () => {
+  const [internalFeature, breakingInternalFeature, apiFix] =
+    ReleaseChangeLineItems.fromCommits(
+      createMockCommits([
+        'feat(internal): add helper',
+        'feat(internal)!: rename helper',
+        'fix(api): handle timeouts',
+      ])
+    ).toArray()
+
+  test.each([
+    [
+      'type and scope',
+      internalFeature,
+      { 'commit-types': ['feat'], 'commit-scopes': ['internal'] },
+      true,
+    ],
+    ['type only', apiFix, { 'commit-types': ['fix'] }, true],
+    ['scope only', apiFix, { 'commit-scopes': ['API'] }, true],
+    [
+      'other type',
+      apiFix,
+      { 'commit-types': ['feat'], 'commit-scopes': ['api'] },
+      false,
+    ],
+    ['other scope', internalFeature, { 'commit-scopes': ['api'] }, false],
+    [
+      'breaking pseudo-type',
+      breakingInternalFeature,
+      { 'commit-types': ['breaking'] },
+      true,
+    ],
+    [
+      'breaking pseudo-type on other changes',
+      internalFeature,
+      { 'commit-types': ['breaking'] },
+      false,
+    ],
+  ])('matches %s: %s', (_, item, rule, expected) => {
+    expect(matchesBumpRule(item, rule)).toEqual(expected)
+  })
+
+  test.each([
+    ['scope rule', { 'commit-scopes': ['internal'], bump: 'patch' }, 'major'],
+    [
+      'type and scope rule',
+      {
+        'commit-types': ['feat'],
+        'commit-scopes': ['internal'],
+        bump: 'patch',
+      },
+      'major',
+    ],
+    [
+      'breaking rule',
+      {
+        'commit-types': ['breaking'],
+        'commit-scopes': ['internal'],
+        bump: 'patch',
+      },
+      'patch',
+    ],
+  ])('bump of a breaking change with a %s', (_, rule, expected) => {
+    expect(resolveItemBump(breakingInternalFeature, { rules: [rule] })).toEqual(
+      expected
+    )
+    expect(
+      resolveVersionBumpFromChangeItems([breakingInternalFeature], {
+        noAutoMajor: false,
+        currentMajor: 2,
+        rules: [rule],
+      })
+    ).toEqual(expected)
+  })
+
+  test('logs the rules that decide a bump', () => {
+    const infoSpy = jest.spyOn(core, 'info').mockImplementation(() => {})
+    const collection = new ReleaseChangeLineItems([internalFeature, apiFix])
+
+    collection.resolveVersionBump({
+      rules: [
+        {
+          'commit-types': ['feat'],
+          'commit-scopes': ['internal', 'test-utils'],
+          bump: 'patch',
+        },
+      ],
+    })
+
+    expect(infoSpy).toHaveBeenCalledWith(
+      '  Version bump rule 1 (feat(internal, test-utils)) matched "feat(internal): add helper": patch'
+    )
+    expect(infoSpy).not.toHaveBeenCalledWith(
+      expect.stringContaining('handle timeouts')
+    )
+    infoSpy.mockRestore()
+  })
+})
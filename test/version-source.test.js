@@ -0,0 +1,187 @@
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const core = require('@actions/core')
+const {
+  parseSourceVersion,
+  findSourceVersion,
+  getReleaseVersion,
+} = require('../lib/version-source')
+const { getVersionBackend } = require('../lib/versions')
+
+const context = {
+  payload: { repository: { full_name: 'test/repo' } },
+  log: { info: jest.fn() },
+}
+
+describe('parseSourceVersion', () => {
+  test.each([
+    ['package.json', '{ "name": "app", "version": "1.4.2" }', '1.4.2'],
+    ['packages/app/package.json', '{ "version": "2.0.0-rc.1" }', '2.0.0-rc.1'],
+    ['package.json', '{ "name": "app" }', null],
+    ['package.json', 'not json', null],
+    [
+      'pyproject.toml',
+      '[build-system]\nrequires = ["hatchling"]\n\n[project]\nname = "app"\nversion = "1.4.2" # bumped on release\n',
+      '1.4.2',
+    ],
+    [
+      'pyproject.toml',
+      '[tool.poetry]\nname = "app"\nversion = \'0.3.0\'\n',
+      '0.3.0',
+    ],
+    [
+      'pyproject.toml',
+      '[project]\nname = "app"\ndynamic = ["version"]\n',
+      null,
+    ],
+    [
+      'Cargo.toml',
+      '[package]\nname = "app"\nversion = "1.4.2"\n\n[dependencies]\nserde = { version = "1.0" }\n',
+      '1.4.2',
+    ],
+    [
+      'Cargo.toml',
+      '[dependencies]\nversion = "0.9"\n\n[workspace.package]\nversion = "3.1.0"\n',
+      '3.1.0',
+    ],
+    ['setup.cfg', '[metadata]\nname = app\nversion = 1.4.2\n', '1.4.2'],
+    [
+      'pom.xml',
+      `<project>
+  <parent>
+    <artifactId>parent</artifactId>
+    <version>9.0.0</version>
+  </parent>
+  <!-- <version>0.0.1</version> -->
+  <artifactId>app</artifactId>
+  <version>1.4.2-SNAPSHOT</version>
+  <dependencies>
+    <dependency><version>5.0.0</version></dependency>
+  </dependencies>
+</project>`,
+      '1.4.2-SNAPSHOT',
+    ],
+    ['VERSION', '1.4.2\n', '1.4.2'],
+    ['.version', '\n  v1.4.2  \nsecond line\n', 'v1.4.2'],
+    ['VERSION', '\n', null],
+  ])('%s: %j', (versionSource, content, expected) => {
+    expect(parseSourceVersion(versionSource, content)).toEqual(expected)
+  })
+})
+
+describe('findSourceVersion', () => {
+  let localGitRoot
+  let warningSpy
+
+  beforeEach(() => {
+    localGitRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'version-source-'))
+    warningSpy = jest.spyOn(core, 'warning').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    fs.rmSync(localGitRoot, { recursive: true, force: true })
+    warningSpy.mockRestore()
+  })
+
+  test.each([
+    ['reads the version', '{ "version": "v1.4.2" }', '1.4.2', undefined],
+    [
+      'warns about an invalid version',
+      '{ "version": "latest" }',
+      null,
+      'version-source "package.json" has no valid version: "latest".',
+    ],
+    [
+      'warns about a missing version',
+      '{ "name": "app" }',
+      null,
+      'version-source "package.json" has no valid version.',
+    ],
+    [
+      'warns about a missing manifest',
+      undefined,
+      null,
+      'version-source "package.json" was not found or is not a file.',
+    ],
+    [
+      'warns about a directory',
+      null,
+      null,
+      'version-source "package.json" was not found or is not a file.',
+    ],
+  ])('%s', async (_, content, expected, warning) => {
+    const manifestPath = path.join(localGitRoot, 'package.json')
+    if (content === null) {
+      fs.mkdirSync(manifestPath)
+    } else if (content !== undefined) {
+      fs.writeFileSync(manifestPath, content)
+    }
+
+    const version = await findSourceVersion({
+      context,
+      versionSource: 'package.json',
+      localGitRoot,
+      versionBackend: getVersionBackend(),
+    })
+
+    expect(version).toEqual(expected)
+    if (warning) {
+      expect(warningSpy).toHaveBeenCalledWith(warning)
+    } else {
+      expect(warningSpy).not.toHaveBeenCalled()
+    }
+  })
+
+  it('warns when the manifest cannot be read', async () => {
+    const error = Object.assign(new Error('Server Error'), { status: 502 })
+    const apiContext = {
+      ...context,
+      repo: (parameters) => ({ owner: 'test', repo: 'repo', ...parameters }),
+      octokit: {
+        repos: { getContent: jest.fn().mockRejectedValue(error) },
+      },
+    }
+
+    const version = await findSourceVersion({
+      context: apiContext,
+      versionSource: 'package.json',
+      ref: 'refs/heads/main',
+      versionBackend: getVersionBackend(),
+    })
+
+    expect(version).toBeNull()
+    expect(warningSpy).toHaveBeenCalledWith(
+      'version-source "package.json" could not be read: Server Error'
+    )
+  })
+
+  it('reads versions of the versioning scheme', async () => {
+    fs.writeFileSync(path.join(localGitRoot, 'VERSION'), '1.4.2.37\n')
+
+    const version = await findSourceVersion({
+      context,
+      versionSource: 'VERSION',
+      localGitRoot,
+      versionBackend: getVersionBackend({ 'versioning-scheme': 'four-part' }),
+    })
+
+    expect(version).toEqual('1.4.2.37')
+  })
+})
+
+describe('getReleaseVersion', () => {
+  test.each([
+    [{ tag_name: 'v1.4.2', name: 'Release 1.4.2' }, undefined, '1.4.2'],
+    [{ tag_name: 'app-v1.4.2' }, 'app-', '1.4.2'],
+    [{ tag_name: 'latest', name: '1.4.2' }, undefined, '1.4.2'],
+    [{ tag_name: 'latest' }, undefined, null],
+  ])('%j', (release, tagPrefix, expected) => {
+    expect(
+      getReleaseVersion(release, {
+        tagPrefix,
+        versionBackend: getVersionBackend(),
+      })
+    ).toEqual(expected)
+  })
+})
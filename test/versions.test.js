@@ -1,6 +1,13 @@
 const { test } = require('@jest/globals')
 
-const { getVersionInfo, defaultVersionInfo } = require('../lib/versions')
+const {
+  getVersionInfo,
+  defaultVersionInfo,
+  getVersionBackend,
+  getPromotedVersion,
+  addVersionVariables,
+  toSnapshotVersion,
+} = require('../lib/versions')
 
 describe('versions', () => {
   test.each([
@@ -196,6 +203,7 @@ describe('versions', () => {
     ['patch', '10.0.4'],
     ['minor', '10.1.0'],
     ['major', '11.0.0'],
+    ['none', '10.0.3'],
   ])(
     "when the resolver versionKey increment is '%s'",
     (versionKey, expected) => {
@@ -212,3 +220,195 @@ describe('versions', () => {
     }
   )
 })
+
+describe('getPromotedVersion', () => {
+  test.each([
+    [{ tag_name: 'v1.3.0-rc.4' }, undefined, '1.3.0'],
+    [{ tag_name: 'app-v1.3.0-beta' }, 'app-', '1.3.0'],
+    ['2.0.0-alpha.1', undefined, '2.0.0'],
+    [{ tag_name: 'v1.3.0' }, undefined, undefined],
+    [undefined, undefined, undefined],
+  ])('%j', (release, tagPrefix, expected) => {
+    expect(getPromotedVersion(release, tagPrefix)).toEqual(expected)
+  })
+})
+
+describe('build metadata', () => {
+  test.each([
+    ['an input version', 'v1.5.0+g3f2a1bc', 'patch', '1.5.0+g3f2a1bc'],
+    [
+      'an input prerelease',
+      '1.5.0-rc.1+build.7',
+      'patch',
+      '1.5.0-rc.1+build.7',
+    ],
+    [
+      'the last release kept by a none increment',
+      undefined,
+      'none',
+      '1.4.2+g3f2a1bc',
+    ],
+  ])(
+    'keeps the build metadata of %s',
+    (_, inputVersion, increment, expected) => {
+      const versionInfo = getVersionInfo(
+        { tag_name: 'v1.4.2+g3f2a1bc' },
+        '$MAJOR.$MINOR.$PATCH$PRERELEASE$BUILD',
+        inputVersion,
+        increment
+      )
+
+      expect(versionInfo.$RESOLVED_VERSION.version).toEqual(expected)
+    }
+  )
+
+  it('drops the build metadata of bumped versions', () => {
+    const versionInfo = getVersionInfo(
+      { tag_name: 'v1.4.2+g3f2a1bc' },
+      '$MAJOR.$MINOR.$PATCH$PRERELEASE$BUILD',
+      undefined,
+      'patch'
+    )
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toEqual('1.4.3')
+    expect(versionInfo.$RESOLVED_VERSION.$BUILD).toEqual('')
+  })
+})
+
+describe('addVersionVariables', () => {
+  it('adds the variables to every version', () => {
+    const versionInfo = addVersionVariables(
+      { $RESOLVED_VERSION: { version: '1.5.0' }, $INPUT_VERSION: null },
+      { $SHORT_SHA: '3f2a1bc' }
+    )
+
+    expect(versionInfo).toEqual({
+      $RESOLVED_VERSION: { version: '1.5.0', $SHORT_SHA: '3f2a1bc' },
+      $INPUT_VERSION: null,
+    })
+  })
+})
+
+describe('toSnapshotVersion', () => {
+  test.each([
+    ['1.5.0', '3f2a1bc', '1.5.0-nightly.20261019+g3f2a1bc'],
+    ['1.5.0-rc.1+build.7', '3f2a1bc', '1.5.0-nightly.20261019+g3f2a1bc'],
+    ['1.5.0', '', '1.5.0-nightly.20261019'],
+  ])('%s at %j', (version, shortSha, expected) => {
+    const snapshotVersion = toSnapshotVersion(
+      { version, $PRERELEASE: '', $BUILD: '', $COMPLETE: version },
+      { identifier: 'nightly', date: '20261019', shortSha }
+    )
+
+    expect(snapshotVersion).toEqual(
+      expect.objectContaining({ version: expected, $COMPLETE: expected })
+    )
+  })
+})
+
+describe('prerelease channels', () => {
+  test.each([
+    ['keeps a draft of the channel', 'alpha', '1.3.0-alpha.4', '1.3.0-alpha.4'],
+    [
+      'moves a draft to a later channel',
+      'beta',
+      '1.3.0-alpha.4',
+      '1.3.0-beta.0',
+    ],
+    ['moves a draft to the rc channel', 'rc', '1.3.0-beta.2', '1.3.0-rc.0'],
+  ])('%s', (_, preReleaseIdentifier, draftVersion, expected) => {
+    const versionInfo = getVersionInfo(
+      { tag_name: 'v1.3.0-alpha.3' },
+      '$MAJOR.$MINOR.$PATCH$PRERELEASE',
+      undefined,
+      'preminor',
+      '',
+      preReleaseIdentifier,
+      draftVersion
+    )
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toEqual(expected)
+  })
+
+  it('restarts the counter of a published prerelease in a new channel', () => {
+    const versionInfo = getVersionInfo(
+      { tag_name: 'v1.3.0-alpha.3' },
+      '$MAJOR.$MINOR.$PATCH$PRERELEASE',
+      undefined,
+      'preminor',
+      '',
+      'beta'
+    )
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toEqual('1.3.0-beta.0')
+  })
+
+  it('moves a draft ahead of the computed version to the channel', () => {
+    const versionInfo = getVersionInfo(
+      { tag_name: 'v1.2.0' },
+      '$MAJOR.$MINOR.$PATCH$PRERELEASE',
+      undefined,
+      'prepatch',
+      '',
+      'beta',
+      '1.3.0-alpha.0'
+    )
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toEqual('1.3.0-beta.0')
+  })
+})
+
+describe('getVersionBackend', () => {
+  test.each([
+    ['semver', {}, 'v1.4.2', '1.4.2'],
+    ['semver', {}, '1.4.2.37', null],
+    [
+      'four-part',
+      { 'versioning-scheme': 'four-part' },
+      'v1.4.2.37',
+      '1.4.2.37',
+    ],
+    ['four-part', { 'versioning-scheme': 'four-part' }, '1.4.2-rc.1', null],
+    [
+      'calver',
+      { 'versioning-scheme': 'calver', 'calver-format': 'YYYY.0M.MICRO' },
+      'v2026.09.1',
+      '2026.09.1',
+    ],
+  ])('%s parses %s', (_, config, version, expected) => {
+    expect(getVersionBackend(config).parse(version)).toEqual(expected)
+  })
+
+  test.each([
+    ['semver', {}, ['1.10.0', '1.9.0', '1.9.1-rc.1'], '1.10.0'],
+    [
+      'four-part',
+      { 'versioning-scheme': 'four-part' },
+      ['1.4.2.9', '1.4.2.37', '1.4.2.10'],
+      '1.4.2.37',
+    ],
+    [
+      'calver',
+      { 'versioning-scheme': 'calver', 'calver-format': 'YYYY.0M.MICRO' },
+      ['2026.09.12', '2026.10.0', '2025.12.3'],
+      '2026.10.0',
+    ],
+  ])('%s orders versions', (_, config, versions, expected) => {
+    const { compare } = getVersionBackend(config)
+
+    expect(versions.sort(compare).at(-1)).toEqual(expected)
+  })
+
+  it('resolves versions of the versioning scheme', () => {
+    const versionInfo = getVersionBackend({
+      'versioning-scheme': 'four-part',
+      'four-part-bumps': { patch: 'build' },
+    }).getVersionInfo({
+      release: { tag_name: 'v1.4.2.37' },
+      template: '$MAJOR.$MINOR.$PATCH.$BUILD_NUMBER',
+      versionKeyIncrement: 'patch',
+    })
+
+    expect(versionInfo.$RESOLVED_VERSION.version).toEqual('1.4.2.38')
+  })
+})